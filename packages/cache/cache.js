@@ -0,0 +1,183 @@
+/*
+ Cache is a tile source wrapper that keeps recently requested tiles in memory.
+ The cache is limited by the total size of the tiles in bytes, and the least recently used
+ tiles are removed first. Tiles may also expire after a given time, which can vary by zoom.
+ */
+
+const _ = require('underscore');
+const Promise = require('bluebird');
+const Err = require('@kartotherian/err');
+const checkType = require('@kartotherian/input-validator');
+const uptile = require('tilelive-promise');
+
+let core;
+
+/**
+ * Parse per-zoom TTLs, given either as an object or as a "zoom:seconds,zoom:seconds" string.
+ * Each TTL applies from its zoom up to the next listed zoom.
+ * @param {object|string} value
+ * @param {number} defaultTtl milliseconds, for zooms below the first listed one
+ * @returns {number[]} TTL in milliseconds for every zoom from 0 to 26, 0 means no expiration
+ */
+function parseZoomTtl(value, defaultTtl) {
+  let zoomTtl = value;
+  if (typeof zoomTtl === 'string') {
+    zoomTtl = _.object(_.map(zoomTtl.split(','), pair => pair.split(':')));
+  }
+  if (!_.isObject(zoomTtl) || Array.isArray(zoomTtl)) {
+    throw new Err('zoomTtl must be an object or a "zoom:seconds,zoom:seconds" string');
+  }
+  const result = [];
+  let ttl = defaultTtl;
+  for (let zoom = 0; zoom <= 26; zoom += 1) {
+    if (zoomTtl[zoom] !== undefined) {
+      checkType(zoomTtl, zoom, 'number', true, 0);
+      ttl = zoomTtl[zoom] * 1000;
+    }
+    result.push(ttl);
+  }
+  return result;
+}
+
+function Cache(uri, callback) {
+  let self = this;
+  return Promise.try(() => {
+    self = uptile(self);
+    const params = checkType.normalizeUrl(uri).query;
+    if (!params.source) {
+      throw new Err("Uri must include 'source' query parameter: %j", uri);
+    }
+    checkType(params, 'maxSize', 'integer', 50 * 1024 * 1024, 1);
+    checkType(params, 'ttl', 'number', 0, 0);
+    checkType(params, 'name', 'string', 'default', 1);
+
+    self.maxSize = params.maxSize;
+    self.ttl = parseZoomTtl(params.zoomTtl === undefined ? {} : params.zoomTtl, params.ttl * 1000);
+    self.metricsPrefix = `cache.${params.name}`;
+    self.sourceUri = params.source;
+
+    // Map preserves insertion order, so the first key is always the least recently used one
+    self.entries = new Map();
+    self.size = 0;
+
+    return core.loadSource(params.source);
+  }).then((source) => {
+    self.source = uptile(source);
+    return self;
+  }).nodeify(callback);
+}
+
+/**
+ * Build the cache key from the tile coordinates and the options that change the result
+ * @param {object} opts
+ * @returns {string}
+ */
+function makeKey(opts) {
+  const coords = opts.x === undefined ? `i${opts.index}` : `${opts.x}/${opts.y}`;
+  return `${opts.z}/${coords}|${opts.lang || ''}|${opts.scale || ''}|${opts.format || ''}`;
+}
+
+Cache.prototype.getAsync = Promise.method(function getAsync(opts) {
+  const self = this;
+
+  if ((opts.type !== undefined && opts.type !== 'tile') || opts.noCache) {
+    return self.source.getAsync(opts);
+  }
+
+  const key = makeKey(opts);
+  const entry = self._get(key);
+  if (entry) {
+    core.metrics.increment(`${self.metricsPrefix}.hit`);
+    // Callers may modify the result, so each one gets its own copy
+    return { data: entry.data, headers: _.clone(entry.headers) };
+  }
+
+  core.metrics.increment(`${self.metricsPrefix}.miss`);
+  return self.source.getAsync(opts).then((res) => {
+    // Callers may also modify the data of the json format, e.g. to remove the geometries,
+    // so only the buffers, which are never changed, are cached
+    if (Buffer.isBuffer(res.data)) {
+      self._set(key, res, opts.z);
+    }
+    return { data: res.data, headers: _.clone(res.headers) };
+  });
+});
+
+/**
+ * Get the entry if it exists and has not expired, and mark it as most recently used
+ * @param {string} key
+ * @returns {object|undefined}
+ * @private
+ */
+Cache.prototype._get = function _get(key) {
+  const entry = this.entries.get(key);
+  if (entry) {
+    this.entries.delete(key);
+    if (entry.expires && entry.expires < Date.now()) {
+      this.size -= entry.size;
+      return undefined;
+    }
+    this.entries.set(key, entry);
+  }
+  return entry;
+};
+
+/**
+ * Add result to the cache, removing the least recently used entries to stay within maxSize
+ * @param {string} key
+ * @param {object} res
+ * @param {int} zoom
+ * @private
+ */
+Cache.prototype._set = function _set(key, res, zoom) {
+  const self = this;
+  const headersSize = res.headers ? JSON.stringify(res.headers).length : 0;
+  const size = key.length + headersSize + res.data.length;
+  if (size > self.maxSize) {
+    return;
+  }
+
+  const existing = self.entries.get(key);
+  if (existing) {
+    self.entries.delete(key);
+    self.size -= existing.size;
+  }
+
+  const ttl = self.ttl[zoom];
+  self.entries.set(key, {
+    data: res.data,
+    headers: res.headers,
+    size,
+    expires: ttl ? Date.now() + ttl : 0,
+  });
+  self.size += size;
+
+  while (self.size > self.maxSize) {
+    const oldestKey = self.entries.keys().next().value;
+    self.size -= self.entries.get(oldestKey).size;
+    self.entries.delete(oldestKey);
+    core.metrics.increment(`${self.metricsPrefix}.evict`);
+  }
+};
+
+/**
+ * Drop the cached tiles, and close the wrapped source, unless it is a reference
+ * to another Kartotherian source, which is closed together with the rest of the sources
+ * @param {function} callback
+ */
+Cache.prototype.close = function close(callback) {
+  this.entries.clear();
+  this.size = 0;
+  if (!this.source || typeof this.source.close !== 'function' || /^sourceref:/.test(this.sourceUri)) {
+    callback();
+  } else {
+    this.source.close(callback);
+  }
+};
+
+Cache.initKartotherian = function initKartotherian(cor) {
+  core = cor;
+  core.tilelive.protocols['cache:'] = Cache;
+};
+
+module.exports = Cache;
@@ -0,0 +1,168 @@
+/* global describe it beforeEach afterEach */
+
+const assert = require('assert');
+const Promise = require('bluebird');
+const Cache = require('../cache');
+
+/**
+ * Tile source that returns z/x/y as the tile data, or as an object for the json format,
+ * and counts the requests it gets
+ */
+function TestSource() {
+  this.requests = [];
+  this.closed = 0;
+  this.headers = undefined;
+}
+
+TestSource.prototype.getAsync = function getAsync(opts) {
+  this.requests.push(opts);
+  const tile = `${opts.z}/${opts.x}/${opts.y}`;
+  return Promise.resolve({
+    data: opts.format === 'json' ? { tile } : Buffer.from(tile),
+    headers: this.headers,
+  });
+};
+
+TestSource.prototype.close = function close(callback) {
+  this.closed += 1;
+  callback();
+};
+
+describe('cache', () => {
+  let source;
+  let metrics;
+  let now;
+  const dateNow = Date.now;
+
+  beforeEach(() => {
+    source = new TestSource();
+    metrics = [];
+    now = 1000000;
+    Date.now = () => now;
+    Cache.initKartotherian({
+      tilelive: { protocols: {} },
+      metrics: { increment: name => metrics.push(name) },
+      loadSource: () => Promise.resolve(source),
+    });
+  });
+
+  afterEach(() => {
+    Date.now = dateNow;
+  });
+
+  function newCache(params) {
+    return Promise.fromCallback(callback => new Cache(`cache://?source=test%3A%2F%2F&name=t&${params || ''}`, callback));
+  }
+
+  // Options of the 1/0/0 tile, with the extra ones
+  const tile = extra => Object.assign({ z: 1, x: 0, y: 0 }, extra);
+
+  // Tiles without headers take as many bytes as their key and their data, e.g. 1/0/0||| and 1/0/0
+  function getTiles(cache, tiles) {
+    return Promise.each(tiles, ([z, x, y]) => cache.getAsync({ z, x, y }));
+  }
+
+  it('caches tiles', () => newCache().then((cache) => {
+    source.headers = { 'Content-Type': 'application/x-protobuf' };
+    return getTiles(cache, [[1, 0, 0], [1, 0, 0]]).then(() => cache.getAsync({ z: 1, x: 0, y: 0 }));
+  }).then((res) => {
+    assert.strictEqual(res.data.toString(), '1/0/0');
+    assert.deepStrictEqual(res.headers, { 'Content-Type': 'application/x-protobuf' });
+    assert.strictEqual(source.requests.length, 1);
+    assert.deepStrictEqual(metrics, ['cache.t.miss', 'cache.t.hit', 'cache.t.hit']);
+  }));
+
+  it('caches every lang, scale and format separately', () => newCache().then(cache => Promise.each([
+    tile(),
+    tile({ lang: 'fr' }),
+    tile({ scale: 2 }),
+    tile({ format: 'png' }),
+    tile({ lang: 'fr' }),
+  ], opts => cache.getAsync(opts)).then(() => {
+    assert.strictEqual(source.requests.length, 4);
+  })));
+
+  it('passes non-tile and noCache requests to the source', () => newCache().then(cache => Promise.each([
+    tile({ type: 'grid' }),
+    tile({ type: 'grid' }),
+    tile({ noCache: true }),
+    tile({ noCache: true }),
+  ], opts => cache.getAsync(opts)).then(() => {
+    assert.strictEqual(source.requests.length, 4);
+    assert.strictEqual(cache.size, 0);
+  })));
+
+  it('evicts the least recently used tiles', () => newCache('maxSize=39').then(cache =>
+    getTiles(cache, [[1, 0, 0], [1, 0, 1], [1, 1, 0], [1, 0, 0], [1, 1, 1]]).then(() => {
+      // 1/0/0 was used again before 1/1/1 was added, so 1/0/1 is the oldest one
+      assert.deepStrictEqual(Array.from(cache.entries.keys()), ['1/1/0|||', '1/0/0|||', '1/1/1|||']);
+      assert.strictEqual(cache.size, 3 * 13);
+      assert.deepStrictEqual(metrics.filter(m => m === 'cache.t.evict'), ['cache.t.evict']);
+      return getTiles(cache, [[1, 0, 1]]);
+    }).then(() => {
+      assert.strictEqual(source.requests.length, 5);
+    })));
+
+  it('keeps track of the cached bytes', () => newCache('maxSize=1000').then(cache =>
+    getTiles(cache, [[1, 0, 0], [10, 100, 200], [1, 0, 0]]).then(() => {
+      assert.strictEqual(cache.size, '1/0/0|||1/0/0'.length + '10/100/200|||10/100/200'.length);
+      return cache.getAsync(tile({ format: 'png' }));
+    }).then(() => {
+      assert.strictEqual(cache.size, 36 + '1/0/0|||png1/0/0'.length);
+      // Replacing a tile only counts its new size
+      cache._set('1/0/0|||', { data: Buffer.from('abc') }, 1);
+      assert.strictEqual(cache.size, 52 + (3 - 5));
+      return Promise.fromCallback(callback => cache.close(callback));
+    }).then(() => {
+      assert.strictEqual(cache.size, 0);
+      assert.strictEqual(cache.entries.size, 0);
+    })));
+
+  it('does not cache the json data, which callers may modify', () => newCache().then(cache =>
+    Promise.each([1, 2], () => cache.getAsync(tile({ format: 'json' })).then((res) => {
+      assert.deepStrictEqual(res.data, { tile: '1/0/0' });
+      res.data.tile = 'modified';
+    })).then(() => {
+      assert.strictEqual(source.requests.length, 2);
+      assert.strictEqual(cache.entries.size, 0);
+    })));
+
+  it('does not cache tiles larger than the cache', () => newCache('maxSize=12').then(cache =>
+    getTiles(cache, [[1, 0, 0], [1, 0, 0]]).then(() => {
+      assert.strictEqual(cache.size, 0);
+      assert.strictEqual(source.requests.length, 2);
+    })));
+
+  it('expires tiles by zoom', () => newCache('ttl=60&zoomTtl=5:10,10:0').then(cache =>
+    getTiles(cache, [[1, 0, 0], [5, 0, 0], [10, 0, 0]]).then(() => {
+      now += 11 * 1000;
+      return getTiles(cache, [[1, 0, 0], [5, 0, 0], [10, 0, 0]]);
+    }).then(() => {
+      // only the zoom 5 tile has expired
+      assert.deepStrictEqual(source.requests.map(opts => opts.z), [1, 5, 10, 5]);
+      now += 3600 * 1000;
+      return getTiles(cache, [[1, 0, 0], [5, 0, 0], [10, 0, 0]]);
+    }).then(() => {
+      // zoom 10 and above never expire
+      assert.deepStrictEqual(source.requests.map(opts => opts.z), [1, 5, 10, 5, 1, 5]);
+    })));
+
+  it('rejects invalid zoom TTLs', () => newCache('zoomTtl=5:abc').then(() => {
+    assert.fail('the cache must not be created');
+  }, (err) => {
+    assert.ok(/zoomTtl|number/.test(err.message), err.message);
+  }));
+
+  it('closes the wrapped source', () => newCache()
+    .then(cache => Promise.fromCallback(callback => cache.close(callback)))
+    .then(() => {
+      assert.strictEqual(source.closed, 1);
+    }));
+
+  it('does not close the referenced sources', () => Promise.fromCallback(callback =>
+    new Cache('cache://?source=sourceref%3A%2F%2F%2F%3Fref%3Dgen', callback))
+    .then(cache => Promise.fromCallback(callback => cache.close(callback)))
+    .then(() => {
+      assert.strictEqual(source.closed, 0);
+    }));
+});
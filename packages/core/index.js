@@ -2,3 +2,5 @@
 
 module.exports = require('./lib/core');
 module.exports.Sources = require('./lib/sources');
+module.exports.SourcesReloader = require('./lib/reloader');
+module.exports.PrometheusMetrics = require('./lib/prometheus');
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const _ = require('underscore');
+const Err = require('@kartotherian/err');
+
+/**
+ * Compare two strings in constant time
+ * @param {string} expected
+ * @param {string} given
+ * @returns {boolean}
+ */
+function safeEqual(expected, given) {
+  const expectedBuf = Buffer.from(String(expected));
+  const givenBuf = Buffer.from(String(given));
+  return expectedBuf.length === givenBuf.length && crypto.timingSafeEqual(expectedBuf, givenBuf);
+}
+
+/**
+ * Compute the signature of the source URLs, valid until the given time.
+ * Only the source and the expiration time are signed, not the path, so a signed URL works
+ * as a bearer token for every tile and other data of the source until it expires.
+ * @param {string} sourceId
+ * @param {int|string} expires unix time in seconds
+ * @param {string} key API key of the source
+ * @returns {string} hex-encoded HMAC-SHA256 of "sourceId:expires"
+ */
+function sign(sourceId, expires, key) {
+  return crypto.createHmac('sha256', key).update(`${sourceId}:${expires}`).digest('hex');
+}
+
+/**
+ * Find which of the source's API keys the request is using, either as a plain key
+ * given via the ?key= parameter or the X-Api-Key header, or as a signed URL with
+ * the ?keyId=, ?expires= and ?signature= parameters.
+ * @param {object} source
+ * @param {string} sourceId
+ * @param {object} req request object
+ * @returns {string|undefined} name of the key, or undefined if the request has no credentials,
+ *   or the source has no API keys
+ * @throws {Err} with 403 status if the credentials are not valid
+ */
+function authenticate(source, sourceId, req) {
+  if (!source.apiKeys) {
+    // Credentials meant for other sources are ignored
+    return undefined;
+  }
+  const query = req.query || {};
+  const apiKey = query.key || (req.get && req.get('X-Api-Key'));
+
+  if (apiKey !== undefined) {
+    const keyName = _.find(_.keys(source.apiKeys), name => safeEqual(source.apiKeys[name], apiKey));
+    if (!keyName) {
+      throw new Err('API key is not valid').metrics('err.req.apikey').status(403);
+    }
+    return keyName;
+  }
+
+  if (query.signature !== undefined) {
+    const { keyId, expires, signature } = query;
+    if (!keyId || !_.has(source.apiKeys, keyId)) {
+      throw new Err('Signed URL has an unknown keyId').metrics('err.req.signature').status(403);
+    }
+    if (!/^\d+$/.test(expires || '')) {
+      throw new Err('Signed URL must have an expires parameter').metrics('err.req.signature').status(403);
+    }
+    if (!safeEqual(sign(sourceId, expires, source.apiKeys[keyId]), signature)) {
+      throw new Err('URL signature is not valid').metrics('err.req.signature').status(403);
+    }
+    if (parseInt(expires, 10) * 1000 < Date.now()) {
+      throw new Err('Signed URL has expired').metrics('err.req.signature').status(403);
+    }
+    return keyId;
+  }
+
+  return undefined;
+}
+
+module.exports = { authenticate, sign };
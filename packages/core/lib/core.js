@@ -6,6 +6,8 @@ const uptile = require('tilelive-promise');
 const toBuffer = require('typedarray-to-buffer');
 const checkType = require('@kartotherian/input-validator');
 const Err = require('@kartotherian/err');
+const PrometheusMetrics = require('./prometheus');
+const access = require('./access');
 
 Promise.promisifyAll(zlib);
 
@@ -33,6 +35,8 @@ let _rootDir;
 let _npmLoader;
 let _npmResolver;
 let _sources;
+let _reloader;
+let _prometheus;
 
 /**
  * Initializes the core
@@ -58,7 +62,10 @@ core.init = function init(app, packageConfig, rootDir, npmLoader, npmResolver) {
   _npmResolver = npmResolver;
 
   core.log = app.logger.log.bind(app.logger);
-  core.metrics = app.metrics;
+  // All metrics are also collected to be reported in the Prometheus format. Each worker
+  // only has its own values, so they are labeled with the worker's process ID
+  _prometheus = new PrometheusMetrics(app.metrics, { worker: process.pid });
+  core.metrics = _prometheus;
 
   const tilelive = npmLoader('@mapbox/tilelive');
   Promise.promisifyAll(tilelive);
@@ -160,11 +167,78 @@ core.isNoTileError = function isNoTileError(err) {
 
 const contentEncoderRe = /^content-encoding$/i;
 
+// Compression methods supported by this version of node.js, in the order of preference.
+// Brotli and zstd default to their slowest settings, which are too slow to run on every request.
+const encoders = {};
+if (zlib.brotliCompress) {
+  encoders.br = {
+    compress: data => zlib.brotliCompressAsync(data, {
+      params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 },
+    }),
+    decompress: data => zlib.brotliDecompressAsync(data),
+  };
+}
+if (zlib.zstdCompress) {
+  encoders.zstd = {
+    compress: data => zlib.zstdCompressAsync(data),
+    decompress: data => zlib.zstdDecompressAsync(data),
+  };
+}
+encoders.gzip = {
+  compress: data => zlib.gzipAsync(data),
+  decompress: data => zlib.gunzipAsync(data),
+};
+encoders.deflate = {
+  compress: data => zlib.deflateAsync(data),
+  decompress: data => zlib.inflateAsync(data),
+};
+
+/**
+ * @returns {string[]} Content-Encoding values that can be compressed and uncompressed,
+ *   in the order of preference
+ */
+core.getEncodings = function getEncodings() {
+  return _.keys(encoders);
+};
+
+/**
+ * Get the encoding of the data from the Content-Encoding header
+ * @param {object} headers
+ * @returns {string|undefined}
+ */
+core.getContentEncoding = function getContentEncoding(headers) {
+  const key = _.find(_.keys(headers || {}), k => contentEncoderRe.test(k));
+  return key ? String(headers[key]).trim().toLowerCase() : undefined;
+};
+
+/**
+ * Detect how the data is compressed. Gzip, deflate, and zstd are recognized by their magic bytes,
+ * but brotli has none, so it can only be known from the Content-Encoding header.
+ * @param {Buffer} data
+ * @param {object} [headers]
+ * @returns {string|undefined}
+ */
+function detectEncoding(data, headers) {
+  if (data[0] === 0x1F && data[1] === 0x8B) {
+    return 'gzip';
+  }
+  if (data[0] === 0x78 && data[1] === 0x9C) {
+    return 'deflate';
+  }
+  if (data[0] === 0x28 && data[1] === 0xB5 && data[2] === 0x2F && data[3] === 0xFD) {
+    return 'zstd';
+  }
+  const encoding = core.getContentEncoding(headers);
+  return encoding === 'br' ? encoding : undefined;
+}
+
 core.uncompressAsync = Promise.method((data, headers) => {
   if (data && data.length) {
-    const useUnzip = data[0] === 0x1F && data[1] === 0x8B;
-    const useInflate = !useUnzip && data[0] === 0x78 && data[1] === 0x9C;
-    if (useUnzip || useInflate) {
+    const encoding = detectEncoding(data, headers);
+    if (encoding) {
+      if (!encoders[encoding]) {
+        throw new Err('Unable to uncompress %s encoded data', encoding);
+      }
       if (headers) {
         // remove Content-Encoding header (might be different case)
         for (const key of Object.keys(headers)) {
@@ -174,15 +248,26 @@ core.uncompressAsync = Promise.method((data, headers) => {
           }
         }
       }
-      if (useUnzip) {
-        return zlib.gunzipAsync(data);
-      }
-      return zlib.inflateAsync(data);
+      return encoders[encoding].decompress(data);
     }
   }
   return data;
 });
 
+/**
+ * Compress data
+ * @param {Buffer|Uint8Array} data
+ * @param {string} encoding one of the core.getEncodings() values
+ * @returns {Promise} resolves with the compressed buffer
+ */
+core.compressAsync = Promise.method((data, encoding) => {
+  if (!encoders[encoding]) {
+    throw new Err('Compression %s is not supported', encoding);
+  }
+  // zlib does not handle typed buffers like Uint8Array
+  return encoders[encoding].compress(data instanceof Buffer ? data : toBuffer(data));
+});
+
 /**
  * Extract portion of a higher zoom tile as a new tile
  * @param baseTileRawPbf uncompressed vector tile pbf
@@ -230,22 +315,24 @@ core.compressPbfAsync2 = function compressPbfAsync2(data, headers) {
     });
 };
 
-core.compressPbfAsync = function compressPbfAsync(result) {
+/**
+ * Compress the vector tile data, and set the Content-Encoding header
+ * @param {object} result tile with the data and headers
+ * @param {string} [encoding] gzip by default
+ * @returns {Promise|object}
+ */
+core.compressPbfAsync = function compressPbfAsync(result, encoding) {
   if (!result.data || result.data.length === 0) {
     return result;
   }
-  if (!(result.data instanceof Buffer)) {
-    // gzip does not handle typed buffers like Uint8Array
-    // eslint-disable-next-line no-param-reassign
-    result.data = toBuffer(result.data);
-  }
-  return zlib
-    .gzipAsync(result.data)
+  const contentEncoding = encoding || 'gzip';
+  return core
+    .compressAsync(result.data, contentEncoding)
     .then((pbfz) => {
       // eslint-disable-next-line no-param-reassign
       result.data = pbfz;
       // eslint-disable-next-line no-param-reassign
-      result.headers['Content-Encoding'] = 'gzip';
+      result.headers['Content-Encoding'] = contentEncoding;
       return result;
     });
 };
@@ -333,6 +420,107 @@ core.validateScale = function validateScale(scale, source) {
   return scale;
 };
 
+// Content-Type of the tiles configured with the outOfBounds source setting
+const tileContentTypes = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+  pbf: 'application/x-protobuf',
+};
+
+/**
+ * @param {int} zoom
+ * @returns {number} size of the whole world in pixels at the given zoom
+ */
+function worldSize(zoom) {
+  // eslint-disable-next-line no-restricted-properties
+  return 256 * Math.pow(2, zoom);
+}
+
+/**
+ * Convert web mercator pixel coordinates at the given zoom to [lon, lat]
+ * @param {number} px
+ * @param {number} py
+ * @param {int} zoom
+ * @returns {number[]}
+ */
+function pixelToLonLat(px, py, zoom) {
+  const size = worldSize(zoom);
+  const lon = ((px / size) * 360) - 180;
+  const lat = (Math.atan(Math.sinh(Math.PI * (1 - ((2 * py) / size)))) * 180) / Math.PI;
+  return [lon, lat];
+}
+
+/**
+ * Get the area covered by the tile
+ * @param {int} z
+ * @param {int} x
+ * @param {int} y
+ * @returns {number[]} [west, south, east, north]
+ */
+core.getTileBounds = function getTileBounds(z, x, y) {
+  const [west, north] = pixelToLonLat(x * 256, y * 256, z);
+  const [east, south] = pixelToLonLat((x + 1) * 256, (y + 1) * 256, z);
+  return [west, south, east, north];
+};
+
+/**
+ * Get the area covered by the image centered at the given location
+ * @param {number} lat
+ * @param {number} lon
+ * @param {int} zoom
+ * @param {int} width in pixels
+ * @param {int} height in pixels
+ * @returns {number[]} [west, south, east, north]
+ */
+core.getImageBounds = function getImageBounds(lat, lon, zoom, width, height) {
+  const size = worldSize(zoom);
+  const sinLat = Math.sin((lat * Math.PI) / 180);
+  const cx = ((lon + 180) / 360) * size;
+  const cy = (0.5 - (Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI))) * size;
+  const [west, north] = pixelToLonLat(cx - (width / 2), Math.max(0, cy - (height / 2)), zoom);
+  const [east, south] = pixelToLonLat(cx + (width / 2), Math.min(size, cy + (height / 2)), zoom);
+  return [west, south, east, north];
+};
+
+/**
+ * Check if the area overlaps the bounds advertised in the source's info
+ * @param {object} source
+ * @param {number[]} area [west, south, east, north]
+ * @returns {Promise} resolves to false if the area is completely outside of the source bounds
+ */
+core.isWithinSourceBoundsAsync = function isWithinSourceBoundsAsync(source, area) {
+  return source.getHandler().getInfoAsync().then((info) => {
+    const { bounds } = info || {};
+    // Bounds that cross the antimeridian are not enforced
+    if (!Array.isArray(bounds) || bounds.length !== 4 || bounds[0] > bounds[2]) {
+      return true;
+    }
+    return area[0] < bounds[2] && area[2] > bounds[0] && area[1] < bounds[3] && area[3] > bounds[1];
+  });
+};
+
+/**
+ * Get the tile to respond with instead of the tiles that are outside of the source bounds,
+ * as configured with the source's outOfBounds setting
+ * @param {object} source
+ * @param {string} format
+ * @returns {object} {data, headers}
+ * @throws {Err} with 404 status if no tile is configured for the format
+ */
+core.getOutOfBoundsTile = function getOutOfBoundsTile(source, format) {
+  const data = source.outOfBoundsTiles && source.outOfBoundsTiles[format];
+  if (!data) {
+    throw new Err('Tile is outside of the source bounds').metrics('err.req.bounds').status(404);
+  }
+  const headers = {};
+  if (tileContentTypes[format]) {
+    headers['Content-Type'] = tileContentTypes[format];
+  }
+  return { data, headers };
+};
+
 core.reportError = function reportError(errReporterFunc, err) {
   try {
     errReporterFunc(err);
@@ -344,17 +532,87 @@ core.reportError = function reportError(errReporterFunc, err) {
   }
 };
 
-core.reportRequestError = function reportRequestError(err, res) {
+/**
+ * Check if the error was given a metrics name with Err.metrics().
+ * Until then, err.metrics is the Err.prototype.metrics() function
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function hasMetricsName(err) {
+  return typeof err.metrics === 'string';
+}
+
+/**
+ * @param {Error} err
+ * @returns {string} name of the counter to increment for the error
+ */
+function getErrorMetrics(err) {
+  if (hasMetricsName(err)) {
+    return err.metrics;
+  }
+  return Err.isNoTileError(err) ? 'err.req.notile' : 'err.unknown';
+}
+
+/**
+ * Get the HTTP status to respond with for the error
+ * @param {Error} err
+ * @param {object} [source] source the request was made to
+ * @returns {int}
+ */
+function getErrorStatus(err, source) {
+  if (typeof err.status === 'number') {
+    return err.status;
+  }
+  if (Err.isOverloadedError(err)) {
+    return 503;
+  }
+  if (Err.isNoTileError(err)) {
+    return source && source.missingTiles === 'noContent' ? 204 : 404;
+  }
+  // Errors with metrics are thrown while validating the request, the rest come from the backend
+  return hasMetricsName(err) ? 400 : 500;
+}
+
+/**
+ * Respond to the request with an error, using the status that matches the error:
+ * 404 or 204 for missing tiles, 400 for invalid requests, 5xx for backend failures,
+ * or the status set with Err.status()
+ * @param {Error} err
+ * @param {object} res response object
+ * @param {object} [source] if given, missing tiles are reported as configured for the source,
+ *   and get the same cache headers as the existing tiles
+ */
+core.reportRequestError = function reportRequestError(err, res, source) {
   // TODO: Fix this shadow properly
   // eslint-disable-next-line no-shadow
   core.reportError((err) => {
-    res
-      .status(400)
-      .header('Cache-Control', 'public, s-maxage=30, max-age=30')
-      .json(err.message || 'error/unknown');
+    const status = getErrorStatus(err, source);
+    res.status(status);
+    if (status === 400 || status === 404 || status === 204) {
+      // The same request would fail the same way, so let it be cached for a while
+      res.header('Cache-Control', 'public, s-maxage=30, max-age=30');
+      if (status !== 400 && source) {
+        // Missing tiles, e.g. in the ocean, may be cached as long as the existing ones
+        core.setResponseHeaders(res, source);
+        // The error body is not the tile, so it must not be described by the tile's headers
+        res.removeHeader('Content-Type');
+        res.removeHeader('Content-Encoding');
+      }
+    } else {
+      // Access errors depend on the request's credentials, and server errors may go away
+      res.header('Cache-Control', 'no-cache, no-store, must-revalidate');
+      if (status === 503) {
+        res.header('Retry-After', '5');
+      }
+    }
+    if (status === 204) {
+      res.end();
+    } else {
+      res.json(err.message || 'error/unknown');
+    }
     // Any error that has metrics setting does not need to go into the error log
-    core.log(err.metrics ? 'info' : 'error', err);
-    core.metrics.increment(err.metrics || 'err.unknown');
+    core.log(hasMetricsName(err) || status < 500 ? 'info' : 'error', err);
+    core.metrics.increment(getErrorMetrics(err));
   }, err);
 };
 
@@ -366,28 +624,126 @@ core.getConfiguration = function getConfiguration() {
   return _app.conf;
 };
 
+/**
+ * Make the sources current, serving the requests and resolving the sourceref: uris
+ * @param {Sources} sources
+ */
 core.setSources = function setSources(sources) {
   _sources = sources;
+  sources.registerRefProtocol();
 };
 
 core.getSources = function getSources() {
   if (!_sources) {
-    throw new Err('The service has not started yet');
+    throw new Err('The service has not started yet').status(503);
   }
   return _sources;
 };
 
-core.getPublicSource = function getPublicSource(srcId) {
+/**
+ * @returns {PrometheusMetrics} all metrics collected since the service has started
+ */
+core.getPrometheusMetrics = function getPrometheusMetrics() {
+  if (!_prometheus) {
+    throw new Err('The service has not started yet').status(503);
+  }
+  return _prometheus;
+};
+
+/**
+ * Set the object that core.reloadSourcesAsync() delegates to
+ * @param {SourcesReloader} reloader
+ */
+core.setSourcesReloader = function setSourcesReloader(reloader) {
+  _reloader = reloader;
+};
+
+/**
+ * Reload sources from the configuration, replacing the current ones on success.
+ * If the reloader has a trigger file, the other worker processes reload theirs as well.
+ * @returns {Promise} resolves with the new Sources object
+ */
+core.reloadSourcesAsync = function reloadSourcesAsync() {
+  return Promise.try(() => {
+    if (!_reloader) {
+      throw new Err('Sources reloading is not enabled').metrics('err.req.reload');
+    }
+    return _reloader.reloadEverywhereAsync();
+  });
+};
+
+/**
+ * Get the source the client is allowed to access
+ * @param {string} srcId
+ * @param {object} [req] request object, to check the API key or the signature given by the client
+ * @returns {object}
+ */
+core.getPublicSource = function getPublicSource(srcId, req) {
   const source = core.getSources().getSourceById(srcId, true);
   if (!source) {
     throw new Err('Unknown source').metrics('err.req.source');
   }
+  // Valid API key gives access even to the sources that are not public
+  const keyName = req ? access.authenticate(source, srcId, req) : undefined;
+  if (keyName) {
+    core.metrics.increment(`apikey.${srcId}.${keyName}`);
+    // Lets setResponseHeaders() keep the response out of the shared caches
+    req.apiKeyName = keyName;
+    return source;
+  }
   if (!source.public && !core.getConfiguration().allSourcesPublic) {
+    if (source.apiKeys) {
+      throw new Err('API key is required').metrics('err.req.apikey').status(401);
+    }
     throw new Err('Source is not public').metrics('err.req.source');
   }
   return source;
 };
 
+/**
+ * Compute the signature that gives access to the source's tiles until the given time,
+ * to be used as ?keyId=<keyName>&expires=<expires>&signature=<signature>
+ * @param {string} sourceId
+ * @param {string} keyName name of one of the source's apiKeys
+ * @param {int} expires unix time in seconds
+ * @returns {string}
+ */
+core.signSource = function signSource(sourceId, keyName, expires) {
+  const source = core.getSources().getSourceById(sourceId);
+  if (!source.apiKeys || !_.has(source.apiKeys, keyName)) {
+    throw new Err('Source %j has no API key %j', sourceId, keyName);
+  }
+  return access.sign(sourceId, expires, source.apiKeys[keyName]);
+};
+
+/**
+ * Get the base URL of the links to this service, either as configured with publicUrl,
+ * or the host the request was made to
+ * @param req request object
+ * @returns {string} without the trailing slash
+ */
+core.getPublicUrl = function getPublicUrl(req) {
+  const { publicUrl } = core.getConfiguration();
+  if (publicUrl) {
+    return publicUrl.replace(/\/+$/, '');
+  }
+  return `${req.protocol}://${req.get('host')}`;
+};
+
+/**
+ * Change the Cache-Control value so that the response may only be stored by the client,
+ * keeping its max-age and the rest of its directives
+ * @param {string} [cacheControl]
+ * @returns {string}
+ */
+function makePrivate(cacheControl) {
+  const directives = _.filter(
+    _.invoke((cacheControl || '').split(','), 'trim'),
+    directive => directive && !/^(public|private|s-maxage=.*)$/i.test(directive)
+  );
+  return ['private'].concat(directives).join(', ');
+}
+
 /**
  * Set headers on the response object
  * @param res
@@ -411,4 +767,11 @@ core.setResponseHeaders = function setResponseHeaders(res, source, dataHeaders)
   if (source && source.headers) {
     res.set(source.headers);
   }
+  if (source && source.apiKeys) {
+    // The same URL may get a different response depending on the API key header
+    res.vary('X-Api-Key');
+    if (res.req && res.req.apiKeyName) {
+      res.set('Cache-Control', makePrivate(res.get('Cache-Control')));
+    }
+  }
 };
@@ -0,0 +1,187 @@
+const _ = require('underscore');
+
+// Same as the default buckets of the Prometheus client libraries, in seconds
+const defaultBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// req.<src>.<zoom>.<format>[.static][.<scale>] as sent by the tiles and the snapshot handlers,
+// with the '.' in scale replaced by ','
+const tileTimingRe = /^req\.([-\w]+)\.(\d+)\.(\w+)(\.static)?(?:\.([\d,]+))?$/;
+
+/**
+ * Escape label value per Prometheus text exposition format
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeLabel(value) {
+  return String(value === undefined ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+}
+
+/**
+ * @param {object} labels
+ * @returns {string} formatted as {name="value",...}, or an empty string if there are no labels
+ */
+function formatLabels(labels) {
+  const pairs = _.map(labels, (value, name) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Wraps the metrics object given by the service-runner, sending everything to it as before,
+ * while also collecting the values to be reported in the Prometheus text format.
+ * Metric names used across the modules are converted into labels, e.g. tile request timing
+ * req.<src>.<zoom>.<format>.<scale> becomes a histogram labeled with source, zoom, format
+ * and scale, and Err.metrics() codes like err.req.zoom become a counter labeled with the code.
+ * The values are only collected for the current worker process, so with several workers,
+ * each scrape reports the requests of whichever worker has handled it. The labels given here,
+ * e.g. the worker, are added to every reported value to keep the series of the workers apart.
+ * @param {object} metrics statsd-like object with increment() and endTiming() functions
+ * @param {object} [labels] added to all values, e.g. {worker: process.pid}
+ * @constructor
+ */
+function PrometheusMetrics(metrics, labels) {
+  this._metrics = metrics;
+  this._labels = labels || {};
+  this._families = {};
+}
+
+/**
+ * Forward the rest of the metrics functions unchanged
+ */
+_.each(['timing', 'decrement', 'gauge', 'unique', 'close'], (method) => {
+  PrometheusMetrics.prototype[method] = function forward(...args) {
+    if (this._metrics && typeof this._metrics[method] === 'function') {
+      return this._metrics[method](...args);
+    }
+    return undefined;
+  };
+});
+
+PrometheusMetrics.prototype.increment = function increment(names, ...args) {
+  const self = this;
+  const value = args[0];
+  _.each(_.flatten([names]), (name) => {
+    if (/^err\./.test(name)) {
+      self._add('counter', 'kartotherian_errors_total', 'Errors by their metrics code', { code: name }, value);
+    } else {
+      self._add('counter', 'kartotherian_events_total', 'Counted events', { name }, value);
+    }
+  });
+  if (self._metrics) {
+    self._metrics.increment(names, ...args);
+  }
+};
+
+PrometheusMetrics.prototype.endTiming = function endTiming(names, startTime, ...args) {
+  const self = this;
+  const seconds = (Date.now() - startTime) / 1000;
+  _.each(_.flatten([names]), (name) => {
+    const match = tileTimingRe.exec(name);
+    if (match) {
+      self._observe('kartotherian_tile_request_duration_seconds', 'Tile request latency', {
+        source: match[1],
+        zoom: match[2],
+        format: match[3],
+        scale: match[5] ? match[5].replace(',', '.') : '',
+        type: match[4] ? 'static' : 'tile',
+      }, seconds);
+    } else {
+      self._observe('kartotherian_operation_duration_seconds', 'Latency of other timed operations', { name }, seconds);
+    }
+  });
+  if (self._metrics) {
+    self._metrics.endTiming(names, startTime, ...args);
+  }
+};
+
+/**
+ * @param {string} type
+ * @param {string} name
+ * @param {string} help
+ * @param {object} labels
+ * @returns {object} the series of the metric family with the given labels
+ * @private
+ */
+PrometheusMetrics.prototype._getSeries = function _getSeries(type, name, help, labels) {
+  let family = this._families[name];
+  if (!family) {
+    family = { type, help, series: {} };
+    this._families[name] = family;
+  }
+  const key = formatLabels(labels);
+  if (!family.series[key]) {
+    family.series[key] = type === 'histogram'
+      ? {
+        labels, buckets: _.map(defaultBuckets, () => 0), sum: 0, count: 0,
+      }
+      : { labels, value: 0 };
+  }
+  return family.series[key];
+};
+
+/**
+ * @private
+ */
+PrometheusMetrics.prototype._add = function _add(type, name, help, labels, value) {
+  this._getSeries(type, name, help, labels).value += (value === undefined ? 1 : value);
+};
+
+/**
+ * @private
+ */
+PrometheusMetrics.prototype._observe = function _observe(name, help, labels, value) {
+  const series = this._getSeries('histogram', name, help, labels);
+  _.each(defaultBuckets, (bound, index) => {
+    if (value <= bound) {
+      series.buckets[index] += 1;
+    }
+  });
+  series.sum += value;
+  series.count += 1;
+};
+
+/**
+ * Format all collected metrics in the Prometheus text exposition format
+ * @param {object[]} [gauges] additional gauges with the current values,
+ *   each one as {name, help, series: [{labels, value}]}
+ * @returns {string}
+ */
+PrometheusMetrics.prototype.format = function format(gauges) {
+  const self = this;
+  const lines = [];
+  const addHeader = (name, type, help) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+  };
+  const withLabels = (labels, extra) => formatLabels(_.extend({}, self._labels, labels, extra));
+
+  _.each(_.keys(self._families).sort(), (name) => {
+    const family = self._families[name];
+    addHeader(name, family.type, family.help);
+    _.each(family.series, (series) => {
+      if (family.type !== 'histogram') {
+        lines.push(`${name}${withLabels(series.labels)} ${series.value}`);
+        return;
+      }
+      _.each(defaultBuckets, (bound, index) => {
+        lines.push(`${name}_bucket${withLabels(series.labels, { le: bound })} ${series.buckets[index]}`);
+      });
+      lines.push(`${name}_bucket${withLabels(series.labels, { le: '+Inf' })} ${series.count}`);
+      lines.push(`${name}_sum${withLabels(series.labels)} ${series.sum}`);
+      lines.push(`${name}_count${withLabels(series.labels)} ${series.count}`);
+    });
+  });
+
+  _.each(gauges, (gauge) => {
+    addHeader(gauge.name, 'gauge', gauge.help);
+    _.each(gauge.series, (series) => {
+      lines.push(`${gauge.name}${withLabels(series.labels)} ${series.value}`);
+    });
+  });
+
+  lines.push('');
+  return lines.join('\n');
+};
+
+module.exports = PrometheusMetrics;
@@ -0,0 +1,178 @@
+const pathLib = require('path');
+const _ = require('underscore');
+const Promise = require('bluebird');
+const fs = Promise.promisifyAll(require('fs'));
+const Err = require('@kartotherian/err');
+const core = require('./core');
+const Sources = require('./sources');
+
+/**
+ * Rebuilds sources from the configuration in the background, and swaps them in
+ * via core.setSources() only if all of them load successfully.
+ * @param {object} conf the same configuration object that was given to Sources.init()
+ * @param {object} [opts]
+ * @param {int} [opts.drainTimeout] maximum time in milliseconds to wait for the requests
+ *   in progress before closing the old source handlers, 60 seconds by default
+ * @param {string} [opts.triggerFile] path of the file, relative to the app root, that is
+ *   written by reloadEverywhereAsync(). All reloaders that use the same file reload when
+ *   it changes, e.g. those of the other worker processes.
+ * @param {int} [opts.interval] how often to check the trigger file, in milliseconds
+ * @constructor
+ */
+function SourcesReloader(conf, opts) {
+  this._conf = conf;
+  this._drainTimeout = (opts && opts.drainTimeout) || 60000;
+  this._watched = [];
+  // The reload currently running, and the one waiting for it to finish
+  this._running = undefined;
+  this._pending = undefined;
+
+  if (opts && opts.triggerFile) {
+    this._triggerFile = pathLib.resolve(core.getAppRootDir(), opts.triggerFile);
+    // Content of the trigger file written by this reloader, which has already reloaded
+    this._lastTrigger = undefined;
+    this._watchTrigger(opts.interval);
+  }
+}
+
+/**
+ * Load sources from the configuration and make them current.
+ * If a reload is already waiting to start, returns that reload instead of queuing another one.
+ * @returns {Promise} resolves with the new Sources object
+ */
+SourcesReloader.prototype.reloadAsync = function reloadAsync() {
+  const self = this;
+  if (!self._pending) {
+    const pending = Promise.resolve(self._running).catch(_.noop).then(() => {
+      self._pending = undefined;
+      self._running = pending;
+      return self._swapAsync();
+    }).finally(() => {
+      if (self._running === pending) {
+        self._running = undefined;
+      }
+    });
+    self._pending = pending;
+  }
+  return self._pending;
+};
+
+/**
+ * Reload the sources, and once they are current, make all the other reloaders
+ * that use the same trigger file reload theirs as well
+ * @returns {Promise} resolves with the new Sources object of this reloader
+ */
+SourcesReloader.prototype.reloadEverywhereAsync = function reloadEverywhereAsync() {
+  const self = this;
+  return self.reloadAsync().tap(() => {
+    if (!self._triggerFile) {
+      return undefined;
+    }
+    const trigger = `${process.pid} ${new Date().toISOString()}`;
+    const tmpFile = `${self._triggerFile}.${process.pid}.tmp`;
+    self._lastTrigger = trigger;
+    // Rename is atomic, so the other workers never see a partially written file
+    return fs
+      .writeFileAsync(tmpFile, trigger)
+      .then(() => fs.renameAsync(tmpFile, self._triggerFile));
+  });
+};
+
+/**
+ * @returns {Promise}
+ * @private
+ */
+SourcesReloader.prototype._swapAsync = function _swapAsync() {
+  const self = this;
+  const start = Date.now();
+  const oldSources = core.getSources();
+  const sources = new Sources();
+
+  return sources.init(self._conf).then(() => {
+    const failed = _.filter(
+      _.keys(sources.getSourceConfigs()),
+      sourceId => sources.getSourceConfigs()[sourceId].isDisabled
+    );
+    if (failed.length > 0) {
+      throw new Err('Unable to reload sources, failed to load: %s', failed.join(', '));
+    }
+
+    core.setSources(sources);
+    core.log('info', 'Sources have been reloaded');
+    core.metrics.endTiming('sources.reload', start);
+
+    // Requests in progress finish on the old handlers, there is no need to wait for them
+    oldSources.closeAsync(self._drainTimeout).catch(err => core.log('error', err));
+    return sources;
+  }).catch((err) => {
+    core.log('error', err);
+    core.metrics.increment('err.sources.reload');
+    // Keep serving from the old sources, and release anything the new ones have opened
+    sources.closeAsync().catch(err2 => core.log('error', err2));
+    throw err;
+  });
+};
+
+/**
+ * Reload sources whenever any of the sources or variables files listed in the config changes
+ * @param {int} [interval] how often to check the files, in milliseconds
+ */
+SourcesReloader.prototype.watch = function watch(interval) {
+  const self = this;
+  const files = _.filter(
+    _.flatten([self._conf.sources, self._conf.variables]),
+    value => typeof value === 'string'
+  );
+
+  _.each(files, (file) => {
+    const path = pathLib.resolve(core.getAppRootDir(), file);
+    self._watchFile(path, interval, () => {
+      core.log('info', `${path} has changed, reloading sources`);
+      self.reloadAsync().catch(_.noop); // errors are logged by the reload
+    });
+  });
+};
+
+/**
+ * Reload sources whenever another reloader writes the trigger file
+ * @param {int} [interval] how often to check the file, in milliseconds
+ * @private
+ */
+SourcesReloader.prototype._watchTrigger = function _watchTrigger(interval) {
+  const self = this;
+  self._watchFile(self._triggerFile, interval, () => {
+    fs.readFileAsync(self._triggerFile, 'utf8').then((trigger) => {
+      if (trigger !== self._lastTrigger) {
+        core.log('info', `Sources have been reloaded by ${trigger}, reloading them here too`);
+        return self.reloadAsync();
+      }
+      return undefined;
+    }).catch(_.noop); // errors are logged by the reload
+  });
+};
+
+/**
+ * @param {string} path
+ * @param {int} [interval] how often to check the file, in milliseconds
+ * @param {function} onChange called whenever the modification time of the file changes
+ * @private
+ */
+SourcesReloader.prototype._watchFile = function _watchFile(path, interval, onChange) {
+  const listener = (curr, prev) => {
+    if (curr.mtime.getTime() !== prev.mtime.getTime()) {
+      onChange();
+    }
+  };
+  fs.watchFile(path, { interval: interval || 5000, persistent: false }, listener);
+  this._watched.push([path, listener]);
+};
+
+/**
+ * Stop watching config files and the trigger file
+ */
+SourcesReloader.prototype.unwatch = function unwatch() {
+  _.each(this._watched, ([path, listener]) => fs.unwatchFile(path, listener));
+  this._watched = [];
+};
+
+module.exports = SourcesReloader;
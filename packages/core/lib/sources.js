@@ -15,27 +15,191 @@ Promise.promisifyAll(fs);
 // constant
 const sourceByRefProtocol = 'sourceref:';
 
-function Sources() {
-  this._variables = {};
-  this._sources = {};
+// Sources instances that have not been closed yet, by their number. The references created
+// with {ref: ...} include that number, so that the sources loaded during a reload resolve
+// to the new instance, while the current one keeps serving the requests.
+const instances = new Map();
+let lastInstanceNumber = 0;
+// Instance that resolves the sourceref: uris without the number, set by registerRefProtocol()
+let refProtocolOwner;
 
-  // Set up a ref protocol resolver - this way its enough to specify the source
-  // by sourceref:///?ref=sourceID URL, instead of a full source URL.
-  const self = this;
+/**
+ * Tilelive protocol that resolves sourceref:///?ref=sourceId[&sources=number] uris
+ * to the handler of the referenced source.
+ * ATTENTION: this must be a non-anonymous function, as it is a constructor
+ * @param {string|object} uri
+ * @param {function} callback
+ */
+function SourceRef(uri, callback) {
+  Promise.try(() => {
+    const { query } = checkType.normalizeUrl(uri);
+    if (!query.ref) {
+      throw new Err('ref uri parameter is not set');
+    }
+    const sources = query.sources === undefined
+      ? refProtocolOwner : instances.get(parseInt(query.sources, 10));
+    if (!sources) {
+      throw new Err('Sources referenced by %j are not available', uri);
+    }
+    return sources.getHandlerById(query.ref);
+  }).nodeify(callback);
+}
 
-  // ATTENTION: this must be a non-anonymous function, as it is a constructor
-  core.tilelive.protocols[sourceByRefProtocol] = function tileLiveProtocols(uri, callback) {
-    Promise.try(() => {
-      // eslint-disable-next-line no-param-reassign
-      uri = checkType.normalizeUrl(uri);
-      if (!uri.query.ref) {
-        throw new Err('ref uri parameter is not set');
+// Value resolvers, keyed by the name used in the config, e.g. {var: ...}
+const resolvers = {};
+const resolverKeyRe = /^[A-Za-z][\w-]*$/;
+// Matches ${key:value} placeholders, or $${key:value} to keep them as is
+const interpolationRe = /\$(\$)?\{([A-Za-z][\w-]*):([^}]*)\}/g;
+
+/**
+ * Call func(), and if it throws, add the error message to the errors list
+ * @param {string[]} errors
+ * @param {function} func
+ * @returns {*} the result of func(), or false if it has thrown
+ */
+function collectErrors(errors, func) {
+  try {
+    return func();
+  } catch (err) {
+    errors.push(err.message);
+    return false;
+  }
+}
+
+/**
+ * @param {object} src source config
+ * @returns {object[]} {value, name} of every config value that is the path of a data file,
+ *   i.e. the tiles of outOfBounds and the style, which are read before the config is checked
+ */
+function findDataFileValues(src) {
+  const values = [];
+  if (_.isObject(src.outOfBounds) && !Array.isArray(src.outOfBounds)) {
+    _.each(src.outOfBounds, (value, format) => values.push({ value, name: `outOfBounds.${format}` }));
+  }
+  if (src.style !== undefined) {
+    values.push({ value: src.style, name: 'style' });
+  }
+  return values;
+}
+
+/**
+ * @param {*} src source config, or any other JSON value
+ * @returns {*} deep copy of the source config
+ */
+function cloneConfig(src) {
+  return _.isObject(src) ? JSON.parse(JSON.stringify(src)) : src;
+}
+
+/**
+ * Find all values given to the resolver anywhere inside the config value,
+ * either as {key: value} or as "${key:value}"
+ * @param {*} obj
+ * @param {string} key
+ * @returns {string[]}
+ */
+function findResolverValues(obj, key) {
+  const values = [];
+  const recursiveIter = (o) => {
+    if (typeof o === 'string') {
+      o.replace(interpolationRe, (match, escape, k, arg) => {
+        if (!escape && k === key) {
+          values.push(arg);
+        }
+        return match;
+      });
+    } else if (_.isObject(o)) {
+      if (Object.keys(o).length === 1 && typeof o[key] === 'string') {
+        values.push(o[key]);
+      } else {
+        _.each(o, recursiveIter);
       }
-      return self.getHandlerById(uri.query.ref);
-    }).nodeify(callback);
+    }
   };
+  recursiveIter(obj);
+  return values;
+}
+
+/**
+ * Find all source IDs referenced by the source config, either as {ref: sourceId}
+ * or "${ref:sourceId}" values anywhere inside it, as a sourceref:///?ref=sourceId uri,
+ * or as the targets of an alias
+ * @param {object} src
+ * @returns {string[]}
+ */
+function findReferences(src) {
+  const refs = [];
+  if (_.isObject(src)) {
+    if (typeof src.uri === 'string' && src.uri.startsWith(sourceByRefProtocol)) {
+      const { ref } = checkType.normalizeUrl(src.uri).query;
+      if (ref) {
+        refs.push(ref);
+      }
+    }
+    if (src.alias !== undefined) {
+      _.each(_.flatten([src.alias]), (target) => {
+        if (typeof target === 'string') {
+          refs.push(target);
+        }
+      });
+    }
+    _.each(src, (value) => {
+      refs.push(...findResolverValues(value, 'ref'));
+    });
+  }
+  return _.unique(refs);
+}
+
+function Sources() {
+  this._variables = {};
+  // path => content of the files used with {file: path}, read before each source is loaded
+  this._files = {};
+  // path => content of the data files of the source configs, e.g. outOfBounds tiles and styles
+  this._dataFiles = {};
+  this._sources = {};
+  // sourceId => list of source IDs it references with {ref: ...}
+  this._dependencies = {};
+  // Number of getAsync() calls that have not completed yet, and the callbacks
+  // waiting for that number to drop to zero
+  this._inFlight = 0;
+  this._drainWaiters = [];
+  // Disabled sources are retried with exponential backoff, using their original configs
+  this._retry = _.clone(Sources.defaultRetry);
+  this._configs = {};
+  this._status = {};
+  this._retryTimers = {};
+  // aliasId => {target, previous, updated} for the aliases switched away from their default
+  this._aliases = {};
+
+  lastInstanceNumber += 1;
+  this._instanceNumber = lastInstanceNumber;
+  instances.set(this._instanceNumber, this);
+  core.tilelive.protocols[sourceByRefProtocol] = SourceRef;
 }
 
+/**
+ * Default settings for retrying the sources that failed to load,
+ * can be changed with conf.sourcesRetry
+ * @type {{minDelay: int, maxDelay: int, maxAttempts: int}}
+ */
+Sources.defaultRetry = {
+  // milliseconds to wait before the first retry, doubled after each failed attempt
+  minDelay: 5000,
+  // maximum milliseconds between the retries
+  maxDelay: 300000,
+  // stop retrying after this many failed attempts, 0 for unlimited
+  maxAttempts: 0,
+};
+
+/**
+ * Make these sources resolve the sourceref:///?ref=sourceID uris that do not say which
+ * sources they belong to, e.g. those used by other modules after the sources have loaded.
+ * The protocol is global, so it should only be registered by the current sources,
+ * which core.setSources() does.
+ */
+Sources.prototype.registerRefProtocol = function registerRefProtocol() {
+  refProtocolOwner = this;
+};
+
 /**
  * Regex string to match proper source IDs
  * @type {string}
@@ -61,19 +225,48 @@ Sources.isValidSourceId = function isValidSourceId(sourceId) {
  * @param {object|string} conf.modules
  * @param {object|string} conf.variables
  * @param {object|string} conf.sources
+ * @param {object|boolean} conf.sourcesRetry override Sources.defaultRetry values,
+ *   or false to keep the sources that failed to load disabled
+ * @param {object} [conf.aliases] where to keep the alias targets, shared by all workers
+ * @param {string} conf.aliases.stateFile path of the JSON file, relative to the app root
+ * @param {int} [conf.aliases.interval] how often to check the file for changes, in milliseconds
+ * @param {object} [opts]
+ * @param {boolean} [opts.validateOnly] only check the configuration, resolving all values
+ *   and loading xml and yaml styles, without creating the sources. Use getStatus() for the result.
  * @returns {*}
  */
-Sources.prototype.init = function init(conf) {
+Sources.prototype.init = function init(conf, opts) {
   const self = this;
   return Promise.try(() => {
+    if (opts && opts.validateOnly) {
+      self._validateOnly = true;
+      self._retry = false;
+    }
     if (!conf.modules) {
       throw new Err('Configuration must have a "modules" parameter listing all ' +
                 'Tilelive/Kartotherian NPM plugin modules');
     }
+    if (conf.sourcesRetry === false) {
+      self._retry = false;
+    } else if (conf.sourcesRetry) {
+      checkType(conf.sourcesRetry, 'minDelay', 'integer', false, 1);
+      checkType(conf.sourcesRetry, 'maxDelay', 'integer', false, 1);
+      checkType(conf.sourcesRetry, 'maxAttempts', 'integer', false, 0);
+      _.extend(self._retry, conf.sourcesRetry);
+    }
+    if (conf.aliases) {
+      checkType(conf.aliases, 'stateFile', 'string', true, 1);
+      checkType(conf.aliases, 'interval', 'integer', 1000, 1);
+      self._aliasStateFile = pathLib.resolve(core.getAppRootDir(), conf.aliases.stateFile);
+    }
     _.each(conf.modules, core.registerTileliveModule);
-    self.loadVariablesAsync(self._localOrExternalDataAsync(conf.variables, 'variables'));
-  }).then(() =>
-    self.loadSourcesAsync(self._localOrExternalDataAsync(conf.sources, 'sources'))).return(self);
+    return self.loadVariablesAsync(self._localOrExternalDataAsync(conf.variables, 'variables'));
+  }).then(() => self._loadAliasStateAsync()).then(() => {
+    if (self._aliasStateFile && !self._validateOnly) {
+      self._watchAliasState(conf.aliases.interval);
+    }
+    return self.loadSourcesAsync(self._localOrExternalDataAsync(conf.sources, 'sources'));
+  }).return(self);
 };
 
 /**
@@ -98,9 +291,16 @@ Sources.prototype.loadSourcesAsync = function loadSourcesAsync(sources) {
     if (!_.isObject(sources) || _.isArray(sources)) {
       throw new Err('Sources must be an object');
     }
+    // Record all references before loading, so that cycles are detected
+    // regardless of the order in which the sources are listed
+    _.each(sources, (src, sourceId) => {
+      self._dependencies[sourceId] = findReferences(src);
+    });
+    // Loading adds the handler and other values to the source config, so each Sources object
+    // gets its own copy, e.g. the current one is not changed by a reload that uses the same conf
     return Promise.each(
       Object.keys(sources),
-      key => self._loadSourceAsync(sources[key], key)
+      key => self._loadSourceAsync(cloneConfig(sources[key]), key)
     );
   });
 };
@@ -143,6 +343,81 @@ function updateInfo(info, override, source, sourceId) {
   }
 }
 
+/**
+ * Build the info of the source, as reported to the clients
+ * @param {object} src
+ * @param {string} sourceId
+ * @param {function} getSourceInfoAsync returns a promise of the info given by the source itself
+ * @returns {Promise}
+ */
+function createInfoAsync(src, sourceId, getSourceInfoAsync) {
+  return Promise.try(() => {
+    const info = {
+      // This is the only required field per spec, and it can be overwritten
+      // https://github.com/mapbox/tilejson-spec
+      tilejson: '2.1.0',
+    };
+
+    // minzoom/maxzoom is automatically added before
+    // setInfo and overrideInfo if setInfo is given
+    // but it is added after calling original getInfo() if setInfo is not given
+    if (src.setInfo) {
+      updateInfo(info, src.setInfo, src, sourceId);
+      updateInfo(info, src.overrideInfo);
+      return info;
+    }
+    return getSourceInfoAsync().then((sourceInfo) => {
+      updateInfo(info, sourceInfo);
+      updateInfo(info, src.overrideInfo, src, sourceId);
+      return info;
+    });
+  });
+}
+
+/**
+ * Tile source that forwards all requests to the current target of the alias,
+ * which can be switched at runtime with Sources.setAliasTargetAsync()
+ * @param {Sources} sources
+ * @param {string} aliasId
+ * @param {object} src
+ * @constructor
+ */
+function AliasHandler(sources, aliasId, src) {
+  this._sources = sources;
+  this._aliasId = aliasId;
+  this._src = src;
+}
+
+AliasHandler.prototype._getTarget = function _getTarget() {
+  return this._sources.getHandlerById(this._sources.getAliasTarget(this._aliasId));
+};
+
+AliasHandler.prototype.getAsync = function getAsync(opts) {
+  return Promise.try(() => this._getTarget().getAsync(opts));
+};
+
+AliasHandler.prototype.getTileAsync = function getTileAsync(z, x, y) {
+  return Promise.try(() => this._getTarget().getTileAsync(z, x, y));
+};
+
+AliasHandler.prototype.getTile = function getTile(z, x, y, callback) {
+  Promise.try(() => this._getTarget())
+    .then(target => target.getTile(z, x, y, callback), callback);
+};
+
+/**
+ * The info is built from the current target's info on every call,
+ * so that it changes together with the target
+ * @returns {Promise}
+ */
+AliasHandler.prototype.getInfoAsync = function getInfoAsync() {
+  return createInfoAsync(this._src, this._aliasId, () => this._getTarget().getInfoAsync());
+};
+
+AliasHandler.prototype.getInfo = function getInfo(callback) {
+  this.getInfoAsync().nodeify(callback);
+};
+
 /**
  * Load source from src config
  * @param {object} src
@@ -172,33 +447,81 @@ function updateInfo(info, override, source, sourceId) {
  * @param {object} src.yamlSetDataSource
  * @param {object} src.setInfo
  * @param {object} src.overrideInfo
+ * @param {object} src.healthProbe
+ * @param {boolean} src.coalesce
+ * @param {object} src.apiKeys
+ * @param {string} src.missingTiles
+ * @param {object|string} src.outOfBounds
+ * @param {string|object} src.style
  * @param sourceId
  * @returns {Promise}
  * @private
  */
 Sources.prototype._loadSourceAsync = function _loadSourceAsync(src, sourceId) {
   const self = this;
+  let isAlias = false;
   return Promise.try(() => {
+    clearTimeout(self._retryTimers[sourceId]);
+    delete self._retryTimers[sourceId];
+    delete self._configs[sourceId];
+
     if (!Sources.isValidSourceId(sourceId)) {
       throw new Err('sourceId %j must only contain letters and digits', sourceId);
     }
     if (typeof src !== 'object') {
       throw new Err('source %j must be an object', sourceId);
     }
+    // src is modified while loading, keep the original in case it has to be retried
+    self._configs[sourceId] = cloneConfig(src);
+    self._setStatus(sourceId, 'loading');
+    if (!self._dependencies[sourceId]) {
+      self._dependencies[sourceId] = findReferences(src);
+    }
+    const cycle = self._findCycle(sourceId);
+    if (cycle) {
+      const err = new Err('source references form a cycle: %s', cycle.join(' → '));
+      err.cycle = cycle;
+      throw err;
+    }
+    return self._readFilesAsync(src).then(() => self._readDataFilesAsync(src));
+  }).then(() => {
+    let uri;
+    if (src.alias !== undefined) {
+      // Alias forwards requests to other sources, so it has nothing to create
+      isAlias = true;
+      checkType(src, 'alias', 'string-array', true, 1);
+      _.each(src.alias, (target) => {
+        if (!Sources.isValidSourceId(target)) {
+          throw new Err('alias target %j is not a valid source id', target);
+        }
+      });
+      _.each(['uri', 'params', 'pathname', 'xml', 'yaml'], (key) => {
+        if (src[key] !== undefined) {
+          throw new Err('alias source can not have the %j value', key);
+        }
+      });
+    } else {
+      checkType(src, 'uri', 'string', true, 1);
+      uri = checkType.normalizeUrl(self._interpolate(src.uri, 'uri'));
+      if (self._validateOnly && !core.tilelive.protocols[uri.protocol]) {
+        throw new Err('Unknown protocol %j, it is not registered by any of the modules', uri.protocol);
+      }
+    }
 
-    checkType(src, 'uri', 'string', true, 1);
-    const uri = checkType.normalizeUrl(src.uri);
+    // Check all values before reporting an error, to report all problems at once
+    const errors = [];
+    const check = (...args) => collectErrors(errors, () => checkType(src, ...args));
 
     // These params are stored, but not acted on within core
     // Kartotherian service uses them when handling user's requests
     // If public is not true, the rest of the values are unused
-    checkType(src, 'public', 'boolean');
-    checkType(src, 'minzoom', 'zoom');
-    checkType(src, 'maxzoom', 'zoom');
-    checkType(src, 'defaultHeaders', 'object');
-    checkType(src, 'headers', 'object');
-    checkType(src, 'formats', 'string-array');
-    if (checkType(src, 'scales', 'number-array')) {
+    check('public', 'boolean');
+    check('minzoom', 'zoom');
+    check('maxzoom', 'zoom');
+    check('defaultHeaders', 'object');
+    check('headers', 'object');
+    check('formats', 'string-array');
+    if (check('scales', 'number-array')) {
       // store scales as an array of strings because it
       // must be an exact match - optimizes caching
       if (src.scales.length === 0) {
@@ -209,21 +532,87 @@ Sources.prototype._loadSourceAsync = function _loadSourceAsync(src, sourceId) {
         src.scales = _.map(src.scales, v => v.toString());
       }
     }
-    checkType(src, 'static', 'boolean');
-    checkType(src, 'maxwidth', 'integer');
-    checkType(src, 'maxheight', 'integer');
-    checkType(src, 'setInfo', 'object');
-    checkType(src, 'overrideInfo', 'object');
+    check('static', 'boolean');
+    check('maxwidth', 'integer');
+    check('maxheight', 'integer');
+    check('setInfo', 'object');
+    check('overrideInfo', 'object');
+    if (src.coalesce === undefined) {
+      // Enabled by default, checkType() removes false values
+      // eslint-disable-next-line no-param-reassign
+      src.coalesce = true;
+    }
+    check('coalesce', 'boolean');
+    if (check('missingTiles', 'string') && !_.contains(['notFound', 'noContent'], src.missingTiles)) {
+      errors.push('missingTiles must be either "notFound" or "noContent"');
+    }
+    if (src.outOfBounds !== undefined && src.outOfBounds !== 'notFound') {
+      // Tiles to respond with instead of those outside of the source bounds, by format
+      collectErrors(errors, () => {
+        if (!_.isObject(src.outOfBounds) || Array.isArray(src.outOfBounds)) {
+          throw new Err('outOfBounds must be "notFound", or an object with a tile file for each format');
+        }
+        // eslint-disable-next-line no-param-reassign
+        src.outOfBoundsTiles = _.mapObject(src.outOfBounds, (value, format) => {
+          const path = self._resolveValue(value, `outOfBounds.${format}`);
+          if (path === '') {
+            return Buffer.alloc(0);
+          }
+          return self._getDataFile(path);
+        });
+      });
+    }
+    if (src.style !== undefined) {
+      // Mapbox GL style served as /<sourceId>/style.json
+      collectErrors(errors, () => {
+        const path = self._resolveValue(src.style, 'style');
+        if (typeof path !== 'string') {
+          throw new Err('style must be a path to the style json file');
+        }
+        // eslint-disable-next-line no-param-reassign
+        src.styleJson = JSON.parse(self._getDataFile(path).toString('utf8'));
+      });
+    }
+    if (src.apiKeys !== undefined) {
+      // API keys are secrets, so they may come from the variables, e.g. {var: partnerKey}
+      collectErrors(errors, () => {
+        if (!_.isObject(src.apiKeys) || Array.isArray(src.apiKeys)) {
+          throw new Err('apiKeys must be an object with key names as keys and API keys as values');
+        }
+        _.each(src.apiKeys, (value, name) => {
+          if (!/^[\w-]+$/.test(name)) {
+            throw new Err('API key name %j must only contain letters, digits, "_" and "-"', name);
+          }
+          // eslint-disable-next-line no-param-reassign
+          src.apiKeys[name] = self._resolveValue(value, `apiKeys.${name}`);
+          checkType(src.apiKeys, name, 'string', true, 1);
+        });
+      });
+    }
+    if (check('healthProbe', 'object')) {
+      collectErrors(errors, () => checkType(src.healthProbe, 'z', 'zoom', true));
+      collectErrors(errors, () => checkType(src.healthProbe, 'x', 'integer', true, 0));
+      collectErrors(errors, () => checkType(src.healthProbe, 'y', 'integer', true, 0));
+    }
 
     // Add URI query values, e.g.  ?password=...
-    if (checkType(src, 'params', 'object')) {
+    if (check('params', 'object')) {
       _.each(src.params, (v, k) => {
-        uri.query[k] = self._resolveValue(v, k);
+        collectErrors(errors, () => {
+          uri.query[k] = self._resolveValue(v, k);
+        });
       });
     }
     // Set URI's path, e.g. /srv/data/myDir
-    if (checkType(src, 'pathname', 'object')) {
-      uri.pathname = self._resolveValue(src.pathname, 'pathname');
+    if (check('pathname', 'object')) {
+      collectErrors(errors, () => {
+        uri.pathname = self._resolveValue(src.pathname, 'pathname');
+      });
+    }
+    if (errors.length > 0) {
+      const err = new Err(errors.join('; '));
+      err.errors = errors;
+      throw err;
     }
     if (src.xml) {
       const xmlLoader = new XmlLoader(src, self._resolveValue.bind(self), core.log);
@@ -234,49 +623,293 @@ Sources.prototype._loadSourceAsync = function _loadSourceAsync(src, sourceId) {
       return yamlLoader.load(uri.protocol);
     }
     return uri;
-  }).then(uri => core.loadSource(uri)).then((handler) => {
-    const info = {
-      // This is the only required field per spec, and it can be overwritten
-      // https://github.com/mapbox/tilejson-spec
-      tilejson: '2.1.0',
-    };
-
-    // minzoom/maxzoom is automatically added before
-    // setInfo and overrideInfo if setInfo is given
-    // but it is added after calling original getInfo() if setInfo is not given
-    if (src.setInfo) {
-      updateInfo(info, src.setInfo, src, sourceId);
-      updateInfo(info, src.overrideInfo);
-      return [handler, info];
+  }).then((uri) => {
+    if (self._validateOnly) {
+      // The config is valid, but the source itself is not created,
+      // to avoid opening any database connections
+      return undefined;
     }
-    return handler.getInfoAsync().then((sourceInfo) => {
-      updateInfo(info, sourceInfo);
-      updateInfo(info, src.overrideInfo, src, sourceId);
-      return [handler, info];
-    });
-  }).spread((handler, info) => {
-    // eslint-disable-next-line no-param-reassign
-    handler.getInfo = (callback) => {
-      callback(undefined, info);
-    };
-    // eslint-disable-next-line no-param-reassign
-    handler.getInfoAsync = Promise.promisify(handler.getInfo);
-
-    // eslint-disable-next-line no-param-reassign
-    src.getHandler = () => handler;
+    if (isAlias) {
+      return self._initHandlerAsync(new AliasHandler(self, sourceId, src), src, sourceId);
+    }
+    if (uri.protocol === sourceByRefProtocol && uri.query.sources === undefined) {
+      // References in the config belong to these sources, even if they are not current yet
+      // eslint-disable-next-line no-param-reassign
+      uri.query.sources = String(self._instanceNumber);
+    }
+    return core.loadSource(uri).then(handler => self._initHandlerAsync(handler, src, sourceId));
   })
     .catch((err) => {
       // eslint-disable-next-line no-param-reassign
-      err.message = `Unable to create source "${sourceId}"${err.message || ''}`;
+      err.message = `Unable to create source "${sourceId}": ${err.message || 'unknown'}`;
       core.log('error', err);
       // eslint-disable-next-line no-param-reassign
       src.isDisabled = err || true;
     })
     .then(() => {
       self._sources[sourceId] = src;
+      if (src.isDisabled) {
+        return self._onLoadFailed(sourceId, src.isDisabled);
+      }
+      self._setStatus(sourceId, 'ready');
+      return self._loadWaitingDependentsAsync(sourceId);
     });
 };
 
+/**
+ * Set up the info of the newly created source handler, and attach it to the source
+ * @param {object} handler
+ * @param {object} src
+ * @param {string} sourceId
+ * @returns {Promise}
+ * @private
+ */
+Sources.prototype._initHandlerAsync = function _initHandlerAsync(handler, src, sourceId) {
+  const self = this;
+  return Promise.try(() => {
+    if (handler instanceof AliasHandler) {
+      // Alias info depends on its current target, so it can not be computed once
+      return undefined;
+    }
+    return createInfoAsync(src, sourceId, () => handler.getInfoAsync()).then((info) => {
+      // eslint-disable-next-line no-param-reassign
+      handler.getInfo = (callback) => {
+        callback(undefined, info);
+      };
+      // eslint-disable-next-line no-param-reassign
+      handler.getInfoAsync = Promise.promisify(handler.getInfo);
+    });
+  }).then(() => {
+    if (src.coalesce) {
+      self._coalesceRequests(handler);
+    }
+    self._trackRequests(handler);
+
+    // eslint-disable-next-line no-param-reassign
+    src.getHandler = () => handler;
+  });
+};
+
+/**
+ * Update the load state of the source, as reported by getStatus()
+ * @param {string} sourceId
+ * @param {string} state
+ * @param {object} [values] additional values to set
+ * @private
+ */
+Sources.prototype._setStatus = function _setStatus(sourceId, state, values) {
+  const prev = this._status[sourceId] || { attempts: 0 };
+  this._status[sourceId] = _.extend({
+    state,
+    attempts: state === 'ready' ? 0 : prev.attempts,
+    lastError: state === 'ready' ? undefined : prev.lastError,
+    updated: new Date().toISOString(),
+  }, values);
+};
+
+/**
+ * Decide what to do with a source that failed to load. If any of the sources it references
+ * is not available, wait for them to load, otherwise schedule a retry.
+ * @param {string} sourceId
+ * @param {Error|boolean} err
+ * @private
+ */
+Sources.prototype._onLoadFailed = function _onLoadFailed(sourceId, err) {
+  const self = this;
+  const attempts = (self._status[sourceId] ? self._status[sourceId].attempts : 0) + 1;
+  const lastError = (err && err.message) || 'unknown';
+  const errors = err && err.errors;
+  const blockedBy = _.filter(self._dependencies[sourceId], ref => !self.getSourceById(ref, true));
+
+  if (err && err.cycle) {
+    // The other sources of the cycle will never load, so there is nothing to wait for or retry
+    self._setStatus(sourceId, 'failed', {
+      attempts, lastError, errors, cycle: err.cycle,
+    });
+  } else if (blockedBy.length > 0) {
+    self._setStatus(sourceId, 'waiting', {
+      attempts, lastError, errors, waitingFor: blockedBy,
+    });
+  } else if (!self._retry || self._closed || !self._configs[sourceId] ||
+    (self._retry.maxAttempts && attempts >= self._retry.maxAttempts)
+  ) {
+    self._setStatus(sourceId, 'failed', { attempts, lastError, errors });
+  } else {
+    const delay = Math.min(
+      self._retry.maxDelay,
+      // eslint-disable-next-line no-restricted-properties
+      self._retry.minDelay * Math.pow(2, attempts - 1)
+    );
+    self._setStatus(sourceId, 'retrying', {
+      attempts,
+      lastError,
+      errors,
+      nextRetry: new Date(Date.now() + delay).toISOString(),
+    });
+    clearTimeout(self._retryTimers[sourceId]);
+    self._retryTimers[sourceId] = setTimeout(() => {
+      delete self._retryTimers[sourceId];
+      core.log('info', `Retrying to load source "${sourceId}", attempt ${attempts + 1}`);
+      core.metrics.increment('sources.retry');
+      self._reloadSourceAsync(sourceId).catch(e => core.log('error', e));
+    }, delay);
+    // Pending retries should not prevent the process from exiting
+    self._retryTimers[sourceId].unref();
+  }
+};
+
+/**
+ * Load the source again from its original config
+ * @param {string} sourceId
+ * @returns {Promise}
+ * @private
+ */
+Sources.prototype._reloadSourceAsync = function _reloadSourceAsync(sourceId) {
+  return this._loadSourceAsync(cloneConfig(this._configs[sourceId]), sourceId);
+};
+
+/**
+ * Once a source has loaded, load all the sources that were waiting for it,
+ * provided that all other sources they reference are available too
+ * @param {string} sourceId
+ * @returns {Promise}
+ * @private
+ */
+Sources.prototype._loadWaitingDependentsAsync = function _loadWaitingDependentsAsync(sourceId) {
+  const self = this;
+  const ready = _.filter(
+    _.keys(self._status),
+    id => self._status[id].state === 'waiting' &&
+      _.contains(self._dependencies[id], sourceId) &&
+      _.all(self._dependencies[id], ref => self.getSourceById(ref, true))
+  );
+  return Promise.each(ready, (id) => {
+    core.log('info', `Source "${sourceId}" has loaded, loading "${id}" that depends on it`);
+    return self._reloadSourceAsync(id);
+  });
+};
+
+/**
+ * Get the load state of every source:
+ *  - state: loading, ready, retrying (with nextRetry time), waiting (for the sources
+ *    listed in waitingFor to load), or failed (no more retries)
+ *  - attempts: number of failed attempts to load it since it was last ready
+ *  - lastError: the error of the last failed attempt
+ *  - errors: if the config has several problems, the list of all of them
+ *  - cycle: if the source references lead back to itself, the source IDs of that chain
+ * @returns {object} sourceId => status
+ */
+Sources.prototype.getStatus = function getStatus() {
+  return _.mapObject(this._status, _.clone);
+};
+
+/**
+ * Wrap handler's getAsync() so that identical requests made while the first one is still
+ * in progress share its result instead of generating the same tile again
+ * @param {object} handler
+ * @private
+ */
+Sources.prototype._coalesceRequests = function _coalesceRequests(handler) {
+  const getAsync = handler.getAsync.bind(handler);
+  const inFlight = new Map();
+
+  // eslint-disable-next-line no-param-reassign
+  handler.getAsync = (opts) => {
+    if (opts && opts.noCache) {
+      // The caller wants the source to generate the tile, e.g. to check that it still can
+      return getAsync(opts);
+    }
+    // Every option may change the result, e.g. lang and scale, so all of them are part of the key
+    const key = JSON.stringify(_.pick(opts, _.keys(opts).sort()));
+    let promise = inFlight.get(key);
+    if (promise) {
+      core.metrics.increment('sources.coalesced');
+    } else {
+      promise = Promise.try(() => getAsync(opts)).finally(() => inFlight.delete(key));
+      inFlight.set(key, promise);
+    }
+    // Callers may modify the headers of the result, and the object data of the json format,
+    // e.g. to remove the geometries, so each one gets its own copy. Buffers are never changed.
+    return promise.then(res => (res ? _.extend({}, res, {
+      data: Buffer.isBuffer(res.data) ? res.data : cloneConfig(res.data),
+      headers: _.clone(res.headers),
+    }) : res));
+  };
+};
+
+/**
+ * Wrap handler's getAsync() to count the requests in progress, so that
+ * closeAsync() can wait for them to finish before closing the handlers
+ * @param {object} handler
+ * @private
+ */
+Sources.prototype._trackRequests = function _trackRequests(handler) {
+  const self = this;
+  const getAsync = handler.getAsync.bind(handler);
+
+  // eslint-disable-next-line no-param-reassign
+  handler.getAsync = (opts) => {
+    self._inFlight += 1;
+    return Promise.try(() => getAsync(opts)).finally(() => {
+      self._inFlight -= 1;
+      if (self._inFlight === 0) {
+        const waiters = self._drainWaiters;
+        self._drainWaiters = [];
+        _.each(waiters, waiter => waiter());
+      }
+    });
+  };
+};
+
+/**
+ * Wait for all requests in progress to complete, and close all source handlers.
+ * Used when these sources are replaced with a newer set, e.g. after a config reload.
+ * @param {int} [drainTimeout] maximum time in milliseconds to wait for the requests in progress.
+ *   Handlers are closed even if some requests are still running after that time.
+ * @returns {Promise}
+ */
+Sources.prototype.closeAsync = function closeAsync(drainTimeout) {
+  const self = this;
+  self._closed = true;
+  instances.delete(self._instanceNumber);
+  if (refProtocolOwner === self) {
+    refProtocolOwner = undefined;
+  }
+  _.each(self._retryTimers, clearTimeout);
+  self._retryTimers = {};
+  if (self._aliasStateListener) {
+    fs.unwatchFile(self._aliasStateFile, self._aliasStateListener);
+    self._aliasStateListener = undefined;
+  }
+
+  let drain = new Promise((resolve) => {
+    if (self._inFlight === 0) {
+      resolve();
+    } else {
+      self._drainWaiters.push(resolve);
+    }
+  });
+  if (drainTimeout !== undefined) {
+    drain = drain.timeout(drainTimeout).catch(Promise.TimeoutError, () => {
+      core.log('warn', `Closing sources with ${self._inFlight} requests still in progress`);
+    });
+  }
+  return drain.then(() => {
+    const handlers = _.unique(_.compact(_.map(
+      self._sources,
+      src => (src.getHandler ? src.getHandler() : undefined)
+    )));
+    return Promise.each(handlers, handler => Promise.try(() => {
+      if (typeof handler.close === 'function') {
+        return Promise.fromCallback(callback => handler.close(callback));
+      }
+      return undefined;
+    }).catch((err) => {
+      core.log('warn', err);
+    }));
+  });
+};
+
 Sources.prototype._localOrExternalDataAsync = function _localOrExternalDataAsync(values, name) {
   return Promise.try(() => {
     if (values === undefined) {
@@ -310,7 +943,10 @@ Sources.prototype._localOrExternalDataAsync = function _localOrExternalDataAsync
 /**
  * Resolves a config value into a string. If value is an object with exactly one
  * known key, it resolves it accordingly, otherwise it returns the value as-is.
- * For an array, each value is resolved separately.
+ * For an array, each value is resolved separately. Strings may contain
+ * ${key:value} placeholders, e.g. "${var:dbhost}:${env:PGPORT}", which are replaced
+ * with the result of the same resolvers. Placeholders with an unknown key are kept as is,
+ * use $${...} to keep a literal ${...} with a known key.
  *
  * Supported keys are:
  *
@@ -324,9 +960,14 @@ Sources.prototype._localOrExternalDataAsync = function _localOrExternalDataAsync
  *
  *  - env: value should be the name of an environment variable
  *
+ *  - file: value should be the path of a file, relative to the app's root dir,
+ *          it returns the content of the file without the trailing newline
+ *
  *  - loader (alias: npmloader): value should be the name of an npm module,
  *                               it returns the loaded module
  *
+ * Additional keys can be added with Sources.registerResolver()
+ *
  * @param {*} value
  * @param {string} valueName
  * @param {boolean} allowLoader
@@ -335,6 +976,9 @@ Sources.prototype._localOrExternalDataAsync = function _localOrExternalDataAsync
  */
 Sources.prototype._resolveValue = function _resolveValue(value, valueName, allowLoader) {
   const self = this;
+  if (typeof value === 'string') {
+    return this._interpolate(value, valueName);
+  }
   if (typeof value !== 'object') {
     return value;
   }
@@ -346,30 +990,62 @@ Sources.prototype._resolveValue = function _resolveValue(value, valueName, allow
   if (keys.length === 1) {
     const firstKey = keys[0];
     const firstValue = value[firstKey];
-    switch (firstKey) {
-      case 'npm':
-      case 'npmpath':
-        return this.getModulePath(firstValue);
-      case 'ref':
-        return this._getSourceUri(firstValue);
-      case 'var':
-        return this._getVariable(firstValue);
-      case 'env':
-        return this._getEnvVariable(firstValue);
-      case 'loader':
-      case 'npmloader':
-        if (allowLoader) {
-          return this._getLoader(firstValue);
-        }
-        break;
-      default:
-        return value;
+    if (firstKey === 'loader' || firstKey === 'npmloader') {
+      return allowLoader ? this._getLoader(firstValue) : value;
+    }
+    if (Object.prototype.hasOwnProperty.call(resolvers, firstKey)) {
+      return resolvers[firstKey].call(this, firstValue, valueName);
     }
   }
 
   return value;
 };
 
+/**
+ * Replace all ${key:value} placeholders in a string, where key is a registered value resolver.
+ * Anything else that looks like a placeholder is kept as is
+ * @param {string} value
+ * @param {string} valueName
+ * @returns {string}
+ * @private
+ */
+Sources.prototype._interpolate = function _interpolate(value, valueName) {
+  const self = this;
+  return value.replace(interpolationRe, (match, escape, key, arg) => {
+    if (escape) {
+      return match.substring(1);
+    }
+    if (!Object.prototype.hasOwnProperty.call(resolvers, key)) {
+      // Not a placeholder, e.g. a template of the source itself
+      return match;
+    }
+    const result = resolvers[key].call(self, arg, valueName);
+    if (typeof result !== 'string' && typeof result !== 'number' && typeof result !== 'boolean') {
+      throw new Err('Value resolver %j must return a string to be used in %s', key, valueName);
+    }
+    return result;
+  });
+};
+
+/**
+ * Register a value resolver, so that config values like {key: value} and "${key:value}"
+ * are replaced with the result of calling resolver(value, valueName) on the Sources object
+ * @param {string} key
+ * @param {function} resolver
+ */
+Sources.registerResolver = function registerResolver(key, resolver) {
+  if (typeof key !== 'string' || !resolverKeyRe.test(key)) {
+    throw new Err('Invalid value resolver key %j', key);
+  }
+  if (typeof resolver !== 'function') {
+    throw new Err('Value resolver %j must be a function', key);
+  }
+  if (Object.prototype.hasOwnProperty.call(resolvers, key) || key === 'loader' || key === 'npmloader') {
+    throw new Err('Value resolver %j is already registered', key);
+  }
+  resolvers[key] = resolver;
+};
+
 Sources.prototype.getSourceById = function getSourceById(sourceId, dontThrow, allowDisabled) {
   if (
     !Sources.isValidSourceId(sourceId) ||
@@ -397,6 +1073,135 @@ Sources.prototype.getHandlerById = function getHandlerById(sourceId, dontThrow)
   return this.getSourceById(sourceId, dontThrow).getHandler();
 };
 
+/**
+ * Get the current target of the alias
+ * @param {string} aliasId
+ * @returns {string} source ID
+ */
+Sources.prototype.getAliasTarget = function getAliasTarget(aliasId) {
+  const src = this.getSourceById(aliasId, false, true);
+  if (!src.alias) {
+    throw new Err('Source %j is not an alias', aliasId);
+  }
+  const state = this._aliases[aliasId];
+  // Ignore stored targets that are no longer listed in the alias config
+  return state && _.contains(src.alias, state.target) ? state.target : src.alias[0];
+};
+
+/**
+ * Get all aliases with their current and allowed targets
+ * @returns {object} aliasId => {target, previous, targets, updated}
+ */
+Sources.prototype.getAliases = function getAliases() {
+  const self = this;
+  const result = {};
+  _.each(self._sources, (src, sourceId) => {
+    if (src.alias && !src.isDisabled) {
+      const state = self._aliases[sourceId] || {};
+      result[sourceId] = {
+        target: self.getAliasTarget(sourceId),
+        previous: state.previous,
+        targets: src.alias,
+        updated: state.updated,
+      };
+    }
+  });
+  return result;
+};
+
+/**
+ * Point the alias to a different source. The change is saved to the aliases state file,
+ * from which the other workers pick it up, and which is read again on restart.
+ * @param {string} aliasId
+ * @param {string} target source ID, must be one of the alias targets
+ * @returns {Promise} resolves with the new state of the alias
+ */
+Sources.prototype.setAliasTargetAsync = function setAliasTargetAsync(aliasId, target) {
+  const self = this;
+  return Promise.try(() => {
+    if (!self._aliasStateFile) {
+      throw new Err('Aliases can not be changed, conf.aliases.stateFile is not set');
+    }
+    const previous = self.getAliasTarget(aliasId);
+    if (!_.contains(self.getSourceById(aliasId, false, true).alias, target)) {
+      throw new Err('Source %j is not a target of the alias %j', target, aliasId);
+    }
+    // Throws if the target has not loaded
+    self.getSourceById(target);
+
+    // Re-read the file to keep the changes made to the other aliases by other workers
+    return self._loadAliasStateAsync().then(() => {
+      const aliases = _.clone(self._aliases);
+      aliases[aliasId] = { target, previous, updated: new Date().toISOString() };
+      const tmpFile = `${self._aliasStateFile}.${process.pid}.tmp`;
+      // Rename is atomic, so the other workers never see a partially written file
+      return fs
+        .writeFileAsync(tmpFile, JSON.stringify(aliases, null, 2))
+        .then(() => fs.renameAsync(tmpFile, self._aliasStateFile))
+        .then(() => {
+          self._aliases = aliases;
+          core.log('info', `Alias "${aliasId}" has been switched from "${previous}" to "${target}"`);
+          return self.getAliases()[aliasId];
+        });
+    });
+  });
+};
+
+/**
+ * Point the alias back to the target it had before the last change
+ * @param {string} aliasId
+ * @returns {Promise} resolves with the new state of the alias
+ */
+Sources.prototype.rollbackAliasAsync = function rollbackAliasAsync(aliasId) {
+  const self = this;
+  return Promise.try(() => {
+    const state = self._aliases[aliasId];
+    if (!state || !state.previous) {
+      throw new Err('Alias %j has not been changed, there is nothing to roll back to', aliasId);
+    }
+    return self.setAliasTargetAsync(aliasId, state.previous);
+  });
+};
+
+/**
+ * Read the alias targets from the state file, if it is configured
+ * @returns {Promise}
+ * @private
+ */
+Sources.prototype._loadAliasStateAsync = function _loadAliasStateAsync() {
+  const self = this;
+  if (!self._aliasStateFile) {
+    return Promise.resolve();
+  }
+  return fs.readFileAsync(self._aliasStateFile, 'utf8').then((data) => {
+    const aliases = JSON.parse(data);
+    if (!_.isObject(aliases) || Array.isArray(aliases)) {
+      throw new Err('Aliases state file %s must contain an object', self._aliasStateFile);
+    }
+    self._aliases = aliases;
+  }, (err) => {
+    // Until an alias is changed for the first time, there is no file
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+  });
+};
+
+/**
+ * Update alias targets whenever the state file is changed, e.g. by another worker
+ * @param {int} interval milliseconds
+ * @private
+ */
+Sources.prototype._watchAliasState = function _watchAliasState(interval) {
+  const self = this;
+  self._aliasStateListener = (curr, prev) => {
+    if (curr.mtime.getTime() !== prev.mtime.getTime()) {
+      self._loadAliasStateAsync().catch(err => core.log('error', err));
+    }
+  };
+  fs.watchFile(self._aliasStateFile, { interval, persistent: false }, self._aliasStateListener);
+};
+
 Sources.prototype.getSourceConfigs = function getSourceConfigs() {
   return this._sources;
 };
@@ -405,9 +1210,85 @@ Sources.prototype.getVariables = function getVariables() {
   return this._variables;
 };
 
+/**
+ * Get the source IDs each source references, directly
+ * @returns {object} sourceId => array of source IDs
+ */
+Sources.prototype.getDependencies = function getDependencies() {
+  return this._dependencies;
+};
+
+/**
+ * Get the IDs of all the sources that use the given source, directly or through other sources
+ * @param {string} sourceId
+ * @returns {string[]}
+ */
+Sources.prototype.getDependentSources = function getDependentSources(sourceId) {
+  const result = [];
+  const queue = [sourceId];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    _.each(this._dependencies, (refs, dependentId) => {
+      if (_.contains(refs, id) && dependentId !== sourceId && !_.contains(result, dependentId)) {
+        result.push(dependentId);
+        queue.push(dependentId);
+      }
+    });
+  }
+  return result;
+};
+
+/**
+ * Get the full dependency graph of the sources, with the state of each source
+ * @returns {object} sourceId => {dependsOn, usedBy, public, disabled, state, cycle},
+ *   where state and cycle are the same as in getStatus()
+ */
+Sources.prototype.getDependencyGraph = function getDependencyGraph() {
+  const self = this;
+  const ids = _.unique(_.keys(self._sources).concat(_.keys(self._dependencies)));
+  return _.object(ids, _.map(ids, (sourceId) => {
+    const src = self._sources[sourceId];
+    const status = self._status[sourceId] || {};
+    return {
+      dependsOn: self._dependencies[sourceId] || [],
+      usedBy: _.filter(ids, id => _.contains(self._dependencies[id], sourceId)),
+      public: !!(src && src.public),
+      disabled: !src || !!src.isDisabled,
+      state: status.state,
+      cycle: status.cycle,
+    };
+  }));
+};
+
+/**
+ * Find a chain of references that leads from the source back to itself
+ * @param {string} sourceId
+ * @returns {string[]|undefined} list of source IDs starting and ending with sourceId,
+ *   or undefined if there is no cycle
+ * @private
+ */
+Sources.prototype._findCycle = function _findCycle(sourceId) {
+  const deps = this._dependencies;
+  const visited = {};
+  const walk = (id, path) => {
+    let cycle;
+    _.find(deps[id], (ref) => {
+      if (ref === sourceId) {
+        cycle = path.concat(ref);
+      } else if (!visited[ref]) {
+        visited[ref] = true;
+        cycle = walk(ref, path.concat(ref));
+      }
+      return cycle;
+    });
+    return cycle;
+  };
+  return walk(sourceId, [sourceId]);
+};
+
 Sources.prototype._getSourceUri = function _getSourceUri(sourceId) {
   this.getSourceById(sourceId); // assert it exists
-  return `${sourceByRefProtocol}///?ref=${sourceId}`;
+  return `${sourceByRefProtocol}///?ref=${sourceId}&sources=${this._instanceNumber}`;
 };
 
 Sources.prototype._getVariable = function _getVariable(name) {
@@ -473,4 +1354,88 @@ Sources.prototype._getLoader = function _getLoader(moduleName) {
   };
 };
 
+Sources.prototype._getFileContent = function _getFileContent(path) {
+  if (typeof path !== 'string') {
+    throw new Err('file key must be a string');
+  }
+  const content = this._files[path];
+  if (content instanceof Error) {
+    throw new Err('Unable to read file %j: %s', path, content.message);
+  }
+  if (content === undefined) {
+    throw new Err('File %j has not been read', path);
+  }
+  return content;
+};
+
+/**
+ * Read all files used with {file: path} or "${file:path}" in the source config,
+ * so that they can be resolved without blocking. The files are read again every time
+ * the source is loaded, e.g. to pick up rotated secrets on reload.
+ * @param {object} src
+ * @returns {Promise}
+ * @private
+ */
+Sources.prototype._readFilesAsync = function _readFilesAsync(src) {
+  const self = this;
+  const paths = _.unique(_.flatten(_.map(src, value => findResolverValues(value, 'file'))));
+  return Promise.each(paths, path => fs
+    .readFileAsync(pathLib.resolve(core.getAppRootDir(), path), 'utf8')
+    .then((data) => {
+      self._files[path] = data.replace(/\r?\n$/, '');
+    }, (err) => {
+      // Reported when the value is resolved, together with the other config errors
+      self._files[path] = err;
+    }));
+};
+
+/**
+ * Read the data files of the source config, e.g. the outOfBounds tiles, so that the config
+ * can be checked without blocking. Same as with _readFilesAsync(), the files are read again
+ * every time the source is loaded. Paths that can not be resolved are reported by the checks.
+ * @param {object} src
+ * @returns {Promise}
+ * @private
+ */
+Sources.prototype._readDataFilesAsync = function _readDataFilesAsync(src) {
+  const self = this;
+  const paths = _.map(findDataFileValues(src), ({ value, name }) => {
+    try {
+      return self._resolveValue(value, name);
+    } catch (err) {
+      return undefined;
+    }
+  });
+  return Promise.each(_.unique(_.filter(paths, path => path && typeof path === 'string')), path => fs
+    .readFileAsync(pathLib.resolve(core.getAppRootDir(), path))
+    .then((data) => {
+      self._dataFiles[path] = data;
+    }, (err) => {
+      self._dataFiles[path] = err;
+    }));
+};
+
+/**
+ * @param {string} path of the data file, as given in the source config
+ * @returns {Buffer} content of the file, as read by _readDataFilesAsync()
+ * @private
+ */
+Sources.prototype._getDataFile = function _getDataFile(path) {
+  const content = this._dataFiles[path];
+  if (content instanceof Error) {
+    throw new Err('Unable to read file %j: %s', path, content.message);
+  }
+  if (content === undefined) {
+    throw new Err('File %j has not been read', path);
+  }
+  return content;
+};
+
+Sources.registerResolver('npm', function npm(value) { return this.getModulePath(value); });
+Sources.registerResolver('npmpath', function npmpath(value) { return this.getModulePath(value); });
+Sources.registerResolver('ref', function ref(value) { return this._getSourceUri(value); });
+Sources.registerResolver('var', function variable(value) { return this._getVariable(value); });
+Sources.registerResolver('env', function env(value) { return this._getEnvVariable(value); });
+Sources.registerResolver('file', function file(value) { return this._getFileContent(value); });
+
 module.exports = Sources;
@@ -23,6 +23,15 @@ Err.prototype.metrics = function(metrics) {
     return this;
 };
 
+/**
+ * Set HTTP status code to respond with if this error is reported to the client
+ * @param {int} status
+ */
+Err.prototype.status = function(status) {
+    this.status = status;
+    return this;
+};
+
 /**
  * Throw "standard" tile does not exist error.
  * The error message string is often used to check if tile existance, so it has to be exact
@@ -38,5 +47,24 @@ Err.isNoTileError = function isNoTileError(err) {
     return err.message === 'Tile does not exist';
 };
 
+/**
+ * Throw "standard" source is overloaded error, e.g. when too many requests are waiting for it.
+ * Unlike other errors, the same request may succeed if it is repeated later.
+ * @param {string} [metrics]
+ */
+Err.throwOverloaded = function throwOverloaded(metrics) {
+    let err = new Err('Source is overloaded, try again later');
+    if (metrics) {
+        err.metrics(metrics);
+    }
+    throw err;
+};
+
+/**
+ * Checks if the error indicates the source is overloaded
+ */
+Err.isOverloadedError = function isOverloadedError(err) {
+    return err.message === 'Source is overloaded, try again later';
+};
 
 module.exports = Err;
@@ -49,6 +49,14 @@ describe('Err', () => {
             assert.strictEqual(err.metrics, 'abc');
         }
     });
+    it('status', () => {
+        try {
+            throw new Err('a').metrics('abc').status(403);
+        } catch (err) {
+            assert.strictEqual(err.metrics, 'abc');
+            assert.strictEqual(err.status, 403);
+        }
+    });
     it('throwNoTile', () => {
         let thrown = true;
         try {
@@ -62,4 +70,17 @@ describe('Err', () => {
         assert.strictEqual(Err.isNoTileError(new Error('Tile does not exist')), true, 'newErr');
         assert.strictEqual(Err.isNoTileError(new Error(' Tile does not exist')), false, 'newErr2');
     });
+    it('throwOverloaded', () => {
+        let thrown = true;
+        try {
+            Err.throwOverloaded('abc');
+            thrown = false;
+        } catch (err) {
+            assert(err instanceof Err, 'must be Err');
+            assert.strictEqual(Err.isOverloadedError(err), true, 'isOverloadedError');
+            assert.strictEqual(err.metrics, 'abc');
+        }
+        assert.strictEqual(thrown, true, 'throwOverloaded() didn\'t throw');
+        assert.strictEqual(Err.isOverloadedError(new Error('Tile does not exist')), false, 'noTile');
+    });
 });
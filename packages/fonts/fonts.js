@@ -0,0 +1,113 @@
+const os = require('os');
+const pathLib = require('path');
+const Promise = require('bluebird');
+const fs = Promise.promisifyAll(require('fs'));
+const _ = require('underscore');
+const fontnik = require('fontnik');
+const glyphCompose = require('@mapbox/glyph-pbf-composite');
+const Err = require('@kartotherian/err');
+
+const rangeAsync = Promise.promisify(fontnik.range);
+
+// Each glyph pbf has 256 characters, from start to start + 255
+const glyphsPerRange = 256;
+const maxCodePoint = 65535;
+
+let core;
+let cacheDir;
+
+/**
+ * Create the directory and its parents, unless they already exist
+ * @param {string} dir
+ * @returns {Promise}
+ */
+function mkdirsAsync(dir) {
+  return fs.mkdirAsync(dir).catch((err) => {
+    if (err.code === 'EEXIST') {
+      return undefined;
+    }
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+    return mkdirsAsync(pathLib.dirname(dir)).then(() => mkdirsAsync(dir));
+  });
+}
+
+/**
+ * Get the glyphs of a font, generating them from the font file unless they are cached on disk
+ * @param {string} fontName name of the font face, as registered with mapnik
+ * @param {string} fontFile
+ * @param {int} start
+ * @param {int} end
+ * @returns {Promise} resolves to a glyph pbf buffer
+ */
+function getGlyphsAsync(fontName, fontFile, start, end) {
+  const cacheFile = pathLib.join(cacheDir, encodeURIComponent(fontName), `${start}-${end}.pbf`);
+
+  return fs.readFileAsync(cacheFile).catch((err) => {
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+    return fs.readFileAsync(fontFile)
+      .then(font => rangeAsync({ font, start, end }))
+      .then((data) => {
+        // Write to a temporary file first, so that other workers never read a partial file
+        const tmpFile = `${cacheFile}.${process.pid}.tmp`;
+        return mkdirsAsync(pathLib.dirname(cacheFile))
+          .then(() => fs.writeFileAsync(tmpFile, data))
+          .then(() => fs.renameAsync(tmpFile, cacheFile))
+          .catch(err2 => core.log('warn', `Unable to cache glyphs: ${core.errToStr(err2)}`))
+          .return(data);
+      });
+  });
+}
+
+/**
+ * Web server (express) route handler to get the glyphs of a comma-separated list of fonts.
+ * Each character comes from the first font in the list that has it.
+ * @param req request object
+ * @param res response object
+ * @param next will be called if request is not handled
+ */
+function glyphsHandler(req, res, next) {
+  const start = Date.now();
+  const { params } = req;
+
+  return Promise.try(() => {
+    const first = parseInt(params.start, 10);
+    const last = parseInt(params.end, 10);
+    if (
+      first % glyphsPerRange !== 0 || last !== first + (glyphsPerRange - 1) || last > maxCodePoint
+    ) {
+      throw new Err('Glyph range must be 256 characters, e.g. 0-255 or 256-511').metrics('err.req.glyphs');
+    }
+
+    const fontFiles = core.mapnik.fontFiles();
+    const fontNames = _.filter(
+      _.map(params.fontstack.split(','), name => name.trim()),
+      name => _.has(fontFiles, name)
+    );
+    if (fontNames.length === 0) {
+      throw new Err('None of the fonts are available').metrics('err.req.fonts').status(404);
+    }
+
+    return Promise.map(fontNames, name => getGlyphsAsync(name, fontFiles[name], first, last))
+      .then(glyphs => (glyphs.length > 1 ? glyphCompose.combine(glyphs) : glyphs[0]));
+  }).then((data) => {
+    core.setResponseHeaders(res);
+    res.type('application/x-protobuf').send(data);
+    core.metrics.endTiming('glyphs', start);
+  }).catch(err => core.reportRequestError(err, res)).catch(next);
+}
+
+module.exports = (cor, router) => {
+  core = cor;
+
+  const conf = core.getConfiguration().fonts || {};
+  cacheDir = conf.cacheDir
+    ? pathLib.resolve(core.getAppRootDir(), conf.cacheDir)
+    : pathLib.join(os.tmpdir(), 'kartotherian-glyphs');
+
+  // glyphs for the client-side renderers, e.g. /fonts/Open Sans Regular,Noto Sans Regular/0-255.pbf
+  router.get('/fonts/:fontstack/:start(\\d+)-:end(\\d+).pbf', glyphsHandler);
+};
@@ -0,0 +1,117 @@
+/* global describe it before after beforeEach */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const pathLib = require('path');
+const Promise = require('bluebird');
+const glyphCompose = require('@mapbox/glyph-pbf-composite');
+const fonts = require('../fonts');
+
+/**
+ * Encode a glyph pbf of the 0-255 range
+ * @param {string} name of the font
+ * @param {int[]} ids code points of the glyphs
+ * @param {int} advance set on every glyph, to tell which font it came from
+ * @returns {Buffer}
+ */
+function encodeGlyphs(name, ids, advance) {
+  return glyphCompose.encode({
+    stacks: [{
+      name,
+      range: '0-255',
+      glyphs: ids.map(id => ({
+        id, width: 0, height: 0, left: 0, top: 0, advance,
+      })),
+    }],
+  });
+}
+
+describe('fonts', () => {
+  let cacheDir;
+  let handler;
+  let errors;
+
+  before(() => {
+    cacheDir = fs.mkdtempSync(pathLib.join(os.tmpdir(), 'kartotherian-fonts-'));
+    // Glyphs already in the cache are not generated again, so the font files are never read
+    [['Sans A', [65, 66], 1], ['Sans B', [66, 67], 2]].forEach(([name, ids, advance]) => {
+      const dir = pathLib.join(cacheDir, encodeURIComponent(name));
+      fs.mkdirSync(dir);
+      fs.writeFileSync(pathLib.join(dir, '0-255.pbf'), encodeGlyphs(name, ids, advance));
+    });
+  });
+
+  after(() => {
+    fs.readdirSync(cacheDir).forEach((name) => {
+      const dir = pathLib.join(cacheDir, name);
+      fs.readdirSync(dir).forEach(file => fs.unlinkSync(pathLib.join(dir, file)));
+      fs.rmdirSync(dir);
+    });
+    fs.rmdirSync(cacheDir);
+  });
+
+  beforeEach(() => {
+    errors = [];
+    fonts({
+      getConfiguration: () => ({ fonts: { cacheDir } }),
+      getAppRootDir: () => cacheDir,
+      mapnik: {
+        fontFiles: () => ({ 'Sans A': '/fonts/a.ttf', 'Sans B': '/fonts/b.ttf' }),
+      },
+      setResponseHeaders: () => {},
+      reportRequestError: (err) => { errors.push(err); },
+      metrics: { endTiming: () => {} },
+    }, {
+      get: (path, routeHandler) => { handler = routeHandler; },
+    });
+  });
+
+  /**
+   * Run the glyphs request through the route handler
+   * @returns {Promise} resolves to the decoded glyphs, or undefined if the request has failed
+   */
+  function getGlyphs(fontstack, start, end) {
+    let sent;
+    const res = {
+      type: () => res,
+      send: (data) => { sent = data; },
+    };
+    return Promise.resolve(handler({ params: { fontstack, start, end } }, res, (err) => {
+      throw err;
+    })).then(() => (sent ? glyphCompose.decode(sent) : undefined));
+  }
+
+  it('combines the glyphs of the fonts, in the order of the fontstack', () => getGlyphs('Sans B,Sans A', '0', '255').then((glyphs) => {
+    assert.strictEqual(glyphs.stacks.length, 1);
+    assert.strictEqual(glyphs.stacks[0].name, 'Sans B, Sans A');
+    assert.deepStrictEqual(
+      glyphs.stacks[0].glyphs.map(glyph => [glyph.id, glyph.advance]),
+      [[65, 1], [66, 2], [67, 2]]
+    );
+  }));
+
+  it('sends the glyphs of a single font as they are', () => getGlyphs('Sans A', '0', '255').then((glyphs) => {
+    assert.strictEqual(glyphs.stacks[0].name, 'Sans A');
+    assert.deepStrictEqual(glyphs.stacks[0].glyphs.map(glyph => glyph.id), [65, 66]);
+  }));
+
+  it('skips the fonts that are not available', () => getGlyphs('No Such Font, Sans B', '0', '255').then((glyphs) => {
+    assert.strictEqual(glyphs.stacks[0].name, 'Sans B');
+    assert.deepStrictEqual(glyphs.stacks[0].glyphs.map(glyph => glyph.id), [66, 67]);
+  }));
+
+  it('fails when none of the fonts are available', () => getGlyphs('No Such Font', '0', '255').then((glyphs) => {
+    assert.strictEqual(glyphs, undefined);
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].metrics, 'err.req.fonts');
+    assert.strictEqual(errors[0].status, 404);
+  }));
+
+  it('rejects the ranges that are not 256 characters', () => Promise.each(
+    [['1', '256'], ['0', '511'], ['65536', '65791']],
+    ([start, end]) => getGlyphs('Sans A', start, end)
+  ).then(() => {
+    assert.deepStrictEqual(errors.map(err => err.metrics), ['err.req.glyphs', 'err.req.glyphs', 'err.req.glyphs']);
+  }));
+});
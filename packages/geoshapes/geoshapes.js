@@ -184,14 +184,14 @@ function handler(type, req, res, next) {
  * @param {string=} reqParams.sql
  */
 function GeoShapes(type, reqParams) {
-    if (!reqParams.ids && !reqParams.query) throw new Err('"ids" or "query" parameter must be given');
-    if (reqParams.query && !config.wikidataQueryService) throw new Err('"query" parameter is not enabled');
+    if (!reqParams.ids && !reqParams.query) throw new Err('"ids" or "query" parameter must be given').status(400);
+    if (reqParams.query && !config.wikidataQueryService) throw new Err('"query" parameter is not enabled').status(400);
 
     if (reqParams.ids) {
         this.ids = reqParams.ids.split(',').filter(id => id !== '');
-        if (this.ids.length > config.maxidcount) throw new Err('No more than %d IDs is allowed', config.maxidcount);
+        if (this.ids.length > config.maxidcount) throw new Err('No more than %d IDs is allowed', config.maxidcount).status(400);
         this.ids.forEach(val => {
-            if (!/^Q[1-9][0-9]{0,15}$/.test(val)) throw new Err('Invalid Wikidata ID');
+            if (!/^Q[1-9][0-9]{0,15}$/.test(val)) throw new Err('Invalid Wikidata ID').status(400);
         });
     } else {
         this.ids = [];
@@ -293,7 +293,7 @@ GeoShapes.prototype.runSqlQuery = function runSqlQuery () {
                 args.push(param.default);
             } else {
                 let value = self.reqParams[paramName];
-                if (!param.regex.test(value)) throw new Err('Invalid value for param %s', paramName);
+                if (!param.regex.test(value)) throw new Err('Invalid value for param %s', paramName).status(400);
                 args.push(value);
             }
         });
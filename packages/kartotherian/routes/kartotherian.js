@@ -10,6 +10,14 @@ function startup(app) {
     return sources.init(app.conf);
   }).then((sources) => {
     core.setSources(sources);
+
+    const reloadConf = app.conf.sourcesReload || {};
+    const reloader = new core.SourcesReloader(app.conf, reloadConf);
+    core.setSourcesReloader(reloader);
+    if (reloadConf.watch) {
+      reloader.watch(reloadConf.interval);
+    }
+
     return server.init({
       core,
       app,
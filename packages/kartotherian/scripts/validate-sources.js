@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/*
+ Validates Kartotherian sources configuration without starting the service.
+ Every source is checked, resolving all of its values and loading its xml/yaml styles,
+ but no sources are created, so no database connections are opened.
+ Prints all the problems found, and exits with a non-zero code if there were any.
+ */
+
+const yaml = require('js-yaml');
+const pathLib = require('path');
+const fs = require('fs');
+const _ = require('underscore');
+const yargs = require('yargs');
+const core = require('@kartotherian/core');
+const kartotherian = require('../routes/kartotherian');
+
+const args = yargs
+  .usage('Usage: $0 [options]')
+  .options({
+    config: {
+      default: 'config.yaml',
+      describe: 'YAML-formatted service configuration file',
+      type: 'string',
+      nargs: 1,
+    },
+    sources: {
+      describe: 'YAML-formatted sources file, overrides the one in the configuration',
+      type: 'string',
+      nargs: 1,
+    },
+    verbose: {
+      default: false,
+      describe: 'log everything while loading the sources',
+      type: 'boolean',
+    },
+  })
+  .help('h')
+  .alias('h', 'help')
+  .argv;
+
+/* eslint-disable no-console */
+
+function report(sources) {
+  const status = sources.getStatus();
+  const invalid = _.filter(_.keys(status), sourceId => status[sourceId].state !== 'ready');
+
+  _.each(status, (srcStatus, sourceId) => {
+    if (srcStatus.state === 'ready') {
+      console.log(`OK      ${sourceId}`);
+    } else if (srcStatus.state === 'waiting') {
+      console.log(`ERROR   ${sourceId} - references invalid source(s): ${srcStatus.waitingFor.join(', ')}`);
+    } else {
+      console.log(`ERROR   ${sourceId}`);
+      _.each(srcStatus.errors || [srcStatus.lastError], (err) => {
+        console.log(`          ${err}`);
+      });
+    }
+  });
+
+  console.log(`\n${_.size(status)} sources checked, ${invalid.length} invalid`);
+  return invalid.length === 0;
+}
+
+let app;
+try {
+  const configPath = pathLib.resolve(args.config);
+  const config = yaml.safeLoad(fs.readFileSync(configPath, 'utf8'), { filename: configPath });
+  app = {
+    conf: config.services[0].conf,
+    logger: {
+      log(level, msg) {
+        if (args.verbose) {
+          console.log(level, msg);
+        }
+      },
+    },
+    metrics: {
+      increment() {},
+      endTiming() {},
+    },
+  };
+  if (args.sources) {
+    app.conf.sources = pathLib.resolve(args.sources);
+  }
+} catch (err) {
+  console.error(`Unable to load configuration: ${err.message}`);
+  process.exit(2);
+}
+
+kartotherian.bootstrap(app).then(() => {
+  const sources = new core.Sources();
+  return sources.init(app.conf, { validateOnly: true });
+}).then((sources) => {
+  process.exit(report(sources) ? 0 : 1);
+}).catch((err) => {
+  console.error(err.message);
+  process.exit(2);
+});
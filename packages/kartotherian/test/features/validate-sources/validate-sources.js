@@ -0,0 +1,95 @@
+/* global describe it before after */
+
+// eslint-disable-next-line strict,lines-around-directive
+'use strict';
+
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const pathLib = require('path');
+const assert = require('../../utils/assert');
+
+const script = pathLib.resolve(__dirname, '../../../scripts/validate-sources.js');
+
+describe('validate-sources', function testValidateSources() {
+  this.timeout(20000);
+
+  let dir;
+
+  /**
+   * Write the sources file, and run the script with it
+   * @param {string} sources YAML sources config
+   * @returns {Promise} resolves to {code, stdout} of the script
+   */
+  function validate(sources) {
+    const sourcesPath = pathLib.join(dir, 'sources.yaml');
+    fs.writeFileSync(sourcesPath, sources);
+    return new Promise((resolve) => {
+      childProcess.execFile(
+        process.execPath, [script, '--config', pathLib.join(dir, 'config.yaml'), '--sources', sourcesPath],
+        (err, stdout) => resolve({ code: err ? err.code : 0, stdout })
+      );
+    });
+  }
+
+  before(() => {
+    dir = fs.mkdtempSync(pathLib.join(os.tmpdir(), 'validate-sources-'));
+    fs.writeFileSync(pathLib.join(dir, 'config.yaml'), [
+      'services:',
+      '  - name: kartotherian',
+      '    conf:',
+      '      modules: [tilelive-http, "@kartotherian/overzoom"]',
+      '      variables: {tilesHost: tiles.example.com}',
+    ].join('\n'));
+  });
+
+  after(() => {
+    fs.readdirSync(dir).forEach(file => fs.unlinkSync(pathLib.join(dir, file)));
+    fs.rmdirSync(dir);
+  });
+
+  it('should accept valid sources', () => validate([
+    'osm:',
+    // eslint-disable-next-line no-template-curly-in-string
+    '  uri: "http://${var:tilesHost}/{z}/{x}/{y}.png"',
+    'oz:',
+    '  uri: overzoom://',
+    '  params:',
+    '    source: {ref: osm}',
+  ].join('\n')).then((res) => {
+    assert.deepEqual(res.code, 0);
+    assert.ok(/^OK {6}osm$/m.test(res.stdout), res.stdout);
+    assert.ok(/^OK {6}oz$/m.test(res.stdout), res.stdout);
+    assert.ok(/2 sources checked, 0 invalid/.test(res.stdout), res.stdout);
+  }));
+
+  it('should report every invalid source', () => validate([
+    'osm:',
+    '  uri: "http://tiles.example.com/{z}/{x}/{y}.png"',
+    'novar:',
+    // eslint-disable-next-line no-template-curly-in-string
+    '  uri: "http://${var:noSuchVariable}/{z}/{x}/{y}.png"',
+    'noref:',
+    '  uri: overzoom://',
+    '  params:',
+    '    source: {ref: noSuchSource}',
+  ].join('\n')).then((res) => {
+    assert.deepEqual(res.code, 1);
+    assert.ok(/^OK {6}osm$/m.test(res.stdout), res.stdout);
+    assert.ok(/^ERROR {3}novar$/m.test(res.stdout), res.stdout);
+    assert.ok(/noSuchVariable/.test(res.stdout), res.stdout);
+    assert.ok(/^ERROR {3}noref\b/m.test(res.stdout), res.stdout);
+    assert.ok(/noSuchSource/.test(res.stdout), res.stdout);
+    assert.ok(/3 sources checked, 2 invalid/.test(res.stdout), res.stdout);
+  }));
+
+  it('should fail without a configuration', () => new Promise((resolve) => {
+    childProcess.execFile(
+      process.execPath, [script, '--config', pathLib.join(dir, 'missing.yaml')],
+      (err, stdout, stderr) => resolve({ code: err ? err.code : 0, stderr })
+    );
+  }).then((res) => {
+    assert.deepEqual(res.code, 2);
+    assert.ok(/Unable to load configuration/.test(res.stderr), res.stderr);
+  }));
+});
@@ -2,19 +2,28 @@
 module.exports = function Gruntfile(grunt) {
   grunt.loadNpmTasks('grunt-contrib-watch');
   grunt.loadNpmTasks('grunt-eslint');
+  grunt.loadNpmTasks('grunt-mocha-test');
 
   grunt.initConfig({
     eslint: {
       code: {
         src: [
-          '*.js',
+          '**/*.js',
           '!node_modules/**',
         ],
       },
     },
+    mochaTest: {
+      test: {
+        options: {
+          reporter: 'spec',
+        },
+        src: ['test/**/*.js'],
+      },
+    },
   });
 
   grunt.registerTask('lint', 'eslint');
-  grunt.registerTask('test', 'lint');
+  grunt.registerTask('test', ['lint', 'mochaTest']);
   grunt.registerTask('default', 'test');
 };
@@ -1,10 +1,27 @@
 
 
+const pathLib = require('path');
 const Promise = require('bluebird');
+const fs = Promise.promisifyAll(require('fs'));
+const _ = require('underscore');
 const makizushi = Promise.promisify(require('@mapbox/makizushi'));
+const spritezero = require('@mapbox/spritezero');
 const Err = require('@kartotherian/err');
 
+const generateLayoutAsync = Promise.promisify(spritezero.generateLayout);
+const generateImageAsync = Promise.promisify(spritezero.generateImage);
+
+// SVG sources of the maki icons, the same ones the markers are rendered from
+const makiIconsDir = pathLib.join(pathLib.dirname(require.resolve('maki/package.json')), 'src');
+
+// Sprite name => list of icon directories, "maki" being the maki icon set
+const defaultSprites = { maki: ['maki'] };
+
 let core;
+let sprites;
+
+// "name@pixelRatio" => Promise of {json, png}
+const spriteCache = {};
 
 /**
  * Web server (express) route handler to get a marker icon
@@ -43,8 +60,73 @@ function markerHandler(req, res, next) {
   }).catch(err => core.reportRequestError(err, res)).catch(next);
 }
 
+/**
+ * Read all SVG icons of the directories. Icons of the later directories
+ * replace those with the same name in the earlier ones.
+ * @param {string[]} dirs
+ * @returns {Promise} resolves to an array of {id, svg}
+ */
+function loadIconsAsync(dirs) {
+  return Promise.mapSeries(dirs, (dir) => {
+    const path = dir === 'maki' ? makiIconsDir : pathLib.resolve(core.getAppRootDir(), dir);
+    return fs.readdirAsync(path).then(files => Promise.map(
+      _.filter(files, file => pathLib.extname(file) === '.svg'),
+      file => fs.readFileAsync(pathLib.join(path, file))
+        .then(svg => ({ id: pathLib.basename(file, '.svg'), svg }))
+    ));
+  }).then(iconLists => _.values(_.indexBy(_.flatten(iconLists), 'id')));
+}
+
+/**
+ * Get the sprite sheet and its index, generating them on the first request
+ * @param {string} name
+ * @param {int} pixelRatio
+ * @returns {Promise} resolves to {json, png}
+ */
+function getSpriteAsync(name, pixelRatio) {
+  const key = `${name}@${pixelRatio}`;
+  if (!spriteCache[key]) {
+    spriteCache[key] = loadIconsAsync(sprites[name]).then(imgs => Promise.props({
+      json: generateLayoutAsync({ imgs, pixelRatio, format: true }),
+      png: generateLayoutAsync({ imgs, pixelRatio, format: false }).then(generateImageAsync),
+    })).catch((err) => {
+      // Let the next request try again
+      delete spriteCache[key];
+      throw err;
+    });
+  }
+  return spriteCache[key];
+}
+
+/**
+ * Web server (express) route handler to get a sprite sheet or its index for the client-side styles
+ * @param req request object
+ * @param res response object
+ * @param next will be called if request is not handled
+ */
+function spriteHandler(req, res, next) {
+  const start = Date.now();
+  const { params } = req;
+
+  return Promise.try(() => {
+    if (!_.has(sprites, params.name)) {
+      throw new Err('Unknown sprite').metrics('err.marker.sprite').status(404);
+    }
+    return getSpriteAsync(params.name, params.scale ? 2 : 1);
+  }).then((sprite) => {
+    core.setResponseHeaders(res);
+    if (params.format === 'json') {
+      res.json(sprite.json);
+    } else {
+      res.type('png').send(sprite.png);
+    }
+    core.metrics.endTiming('sprite', start);
+  }).catch(err => core.reportRequestError(err, res)).catch(next);
+}
+
 module.exports = (cor, router) => {
   core = cor;
+  sprites = core.getConfiguration().sprites || defaultSprites;
 
   // marker icon generator  (base, size, symbol, color, scale),
   // with the symbol being optional
@@ -54,4 +136,8 @@ module.exports = (cor, router) => {
   router.get('/v4/marker/:base([\\w]+)-:size([sml])\\+:color([a-f0-9]+)@:scale([\\.\\d]+)x.png', markerHandler);
   router.get('/v4/marker/:base([\\w]+)-:size([sml])-:symbol([-\\w]+)\\+:color([a-f0-9]+).png', markerHandler);
   router.get('/v4/marker/:base([\\w]+)-:size([sml])-:symbol([-\\w]+)\\+:color([a-f0-9]+)@:scale([\\.\\d]+)x.png', markerHandler);
+
+  // sprite sheet and its index for the client-side styles
+  // /sprite/maki@2x.png, /sprite/maki.json
+  router.get('/sprite/:name([-\\w]+):scale(@2x)?.:format(png|json)', spriteHandler);
 };
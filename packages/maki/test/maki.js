@@ -0,0 +1,109 @@
+/* global describe it before after beforeEach */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const pathLib = require('path');
+const Promise = require('bluebird');
+const maki = require('../maki');
+
+/**
+ * @param {int} size width and height of the icon
+ * @returns {string} SVG of a square icon
+ */
+function squareSvg(size) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">` +
+    `<rect width="${size}" height="${size}" fill="#000"/></svg>`;
+}
+
+describe('sprites', () => {
+  let rootDir;
+  let handler;
+  let errors;
+
+  before(() => {
+    rootDir = fs.mkdtempSync(pathLib.join(os.tmpdir(), 'kartotherian-maki-'));
+    // Replaces the maki icon with the same name, and adds a new one
+    fs.mkdirSync(pathLib.join(rootDir, 'icons'));
+    fs.writeFileSync(pathLib.join(rootDir, 'icons', 'parking-12.svg'), squareSvg(20));
+    fs.writeFileSync(pathLib.join(rootDir, 'icons', 'custom.svg'), squareSvg(16));
+
+    maki({
+      getConfiguration: () => ({ sprites: { maki: ['maki'], custom: ['maki', 'icons'] } }),
+      getAppRootDir: () => rootDir,
+      setResponseHeaders: () => {},
+      reportRequestError: (err) => { errors.push(err); },
+      metrics: { endTiming: () => {} },
+    }, {
+      get: (path, routeHandler) => {
+        if (/^\/sprite\//.test(path)) {
+          handler = routeHandler;
+        }
+      },
+    });
+  });
+
+  beforeEach(() => {
+    errors = [];
+  });
+
+  after(() => {
+    const dir = pathLib.join(rootDir, 'icons');
+    fs.readdirSync(dir).forEach(file => fs.unlinkSync(pathLib.join(dir, file)));
+    fs.rmdirSync(dir);
+    fs.rmdirSync(rootDir);
+  });
+
+  /**
+   * Run the sprite request through the route handler
+   * @param {string} name of the sprite
+   * @param {string} [scale] '@2x' or undefined
+   * @param {string} format 'json' or 'png'
+   * @returns {Promise} resolves to the sent data, or undefined if the request has failed
+   */
+  function getSprite(name, scale, format) {
+    let sent;
+    const res = {
+      type: () => res,
+      json: (data) => { sent = data; },
+      send: (data) => { sent = data; },
+    };
+    return Promise.resolve(handler({ params: { name, scale, format } }, res, (err) => {
+      throw err;
+    })).then(() => sent);
+  }
+
+  // Generating the sprites of all the maki icons takes a while
+  it('lists every size of the maki icons in the index', () => getSprite('maki', undefined, 'json').then((index) => {
+    assert.deepStrictEqual(
+      ['parking-12', 'parking-18', 'parking-24'].map(id => [index[id].width, index[id].pixelRatio]),
+      [[12, 1], [18, 1], [24, 1]]
+    );
+    assert.strictEqual(index.custom, undefined);
+  })).timeout(30000);
+
+  it('doubles the size of the icons at @2x', () => getSprite('maki', '@2x', 'json').then((index) => {
+    assert.deepStrictEqual(
+      [index['parking-12'].width, index['parking-12'].height, index['parking-12'].pixelRatio],
+      [24, 24, 2]
+    );
+  })).timeout(30000);
+
+  it('sends the sprite sheet as a png', () => getSprite('maki', '@2x', 'png').then((png) => {
+    assert.ok(Buffer.isBuffer(png));
+    assert.strictEqual(png.toString('ascii', 1, 4), 'PNG');
+  })).timeout(30000);
+
+  it('replaces the maki icons with the custom ones of the same name', () => getSprite('custom', undefined, 'json').then((index) => {
+    assert.strictEqual(index['parking-12'].width, 20);
+    assert.strictEqual(index['parking-18'].width, 18);
+    assert.strictEqual(index.custom.width, 16);
+  })).timeout(30000);
+
+  it('rejects unknown sprites', () => getSprite('nosuchsprite', undefined, 'json').then((data) => {
+    assert.strictEqual(data, undefined);
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].metrics, 'err.marker.sprite');
+    assert.strictEqual(errors[0].status, 404);
+  }));
+});
@@ -2,6 +2,7 @@
 module.exports = function Gruntfile(grunt) {
   grunt.loadNpmTasks('grunt-contrib-watch');
   grunt.loadNpmTasks('grunt-eslint');
+  grunt.loadNpmTasks('grunt-mocha-test');
   grunt.loadNpmTasks('grunt-stylelint');
 
   grunt.initConfig({
@@ -26,9 +27,17 @@ module.exports = function Gruntfile(grunt) {
         '!static/lib/**',
       ],
     },
+    mochaTest: {
+      test: {
+        options: {
+          reporter: 'spec',
+        },
+        src: ['test/**/*.js'],
+      },
+    },
   });
 
   grunt.registerTask('lint', ['eslint', 'stylelint']);
-  grunt.registerTask('test', 'lint');
+  grunt.registerTask('test', ['lint', 'mochaTest']);
   grunt.registerTask('default', 'test');
 };
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const _ = require('underscore');
+const Promise = require('bluebird');
+const Err = require('@kartotherian/err');
+
+let core;
+
+/**
+ * Throws unless the request has the X-Admin-Key header matching the adminKey config value.
+ * All admin requests are rejected if adminKey is not configured.
+ * @param req request object
+ */
+function checkAdminKey(req) {
+  const { adminKey } = core.getConfiguration();
+  if (!adminKey) {
+    throw new Err('Admin requests are disabled, conf.adminKey is not set').metrics('err.req.admin').status(403);
+  }
+  if (!req.get('X-Admin-Key')) {
+    throw new Err('X-Admin-Key header is required').metrics('err.req.admin').status(401);
+  }
+  const key = Buffer.from(String(adminKey));
+  const given = Buffer.from(req.get('X-Admin-Key'));
+  if (key.length !== given.length || !crypto.timingSafeEqual(key, given)) {
+    throw new Err('Admin key is not valid').metrics('err.req.admin').status(403);
+  }
+}
+
+/**
+ * Web server (express) route handler to reload sources configuration.
+ * The other worker processes reload too if the reloader has a trigger file,
+ * otherwise only the sources of the worker process that gets the request are reloaded
+ * @param req request object
+ * @param res response object
+ * @param next will be called if request is not handled
+ */
+function reloadHandler(req, res, next) {
+  const start = Date.now();
+
+  return Promise.try(() => {
+    checkAdminKey(req);
+    return core.reloadSourcesAsync();
+  }).then((sources) => {
+    res.json({ sources: _.keys(sources.getSourceConfigs()) });
+    core.metrics.endTiming('req._sources.reload', start);
+  }).catch(err => core.reportRequestError(err, res)).catch(next);
+}
+
+/**
+ * Format sources dependency graph in the Graphviz DOT language.
+ * Public sources are drawn in bold, disabled ones are dashed.
+ * @param {object} graph as returned by Sources.getDependencyGraph()
+ * @returns {string}
+ */
+function graphToDot(graph) {
+  const lines = ['digraph sources {'];
+  _.each(graph, (node, sourceId) => {
+    const styles = [];
+    if (node.public) {
+      styles.push('bold');
+    }
+    if (node.disabled) {
+      styles.push('dashed');
+    }
+    lines.push(styles.length > 0
+      ? `  ${JSON.stringify(sourceId)} [style=${JSON.stringify(styles.join(','))}];`
+      : `  ${JSON.stringify(sourceId)};`);
+  });
+  _.each(graph, (node, sourceId) => {
+    _.each(node.dependsOn, (ref) => {
+      lines.push(`  ${JSON.stringify(sourceId)} -> ${JSON.stringify(ref)};`);
+    });
+  });
+  lines.push('}', '');
+  return lines.join('\n');
+}
+
+/**
+ * Web server (express) route handler to get the sources dependency graph,
+ * as JSON, or as Graphviz DOT if ?format=dot is given
+ * @param req request object
+ * @param res response object
+ * @param next will be called if request is not handled
+ */
+function graphHandler(req, res, next) {
+  const start = Date.now();
+
+  return Promise.try(() => {
+    checkAdminKey(req);
+    const graph = core.getSources().getDependencyGraph();
+    if (req.query && req.query.format === 'dot') {
+      res.type('text/vnd.graphviz').send(graphToDot(graph));
+    } else {
+      res.json(graph);
+    }
+    core.metrics.endTiming('req._sources.graph', start);
+  }).catch(err => core.reportRequestError(err, res)).catch(next);
+}
+
+/**
+ * Web server (express) route handler to get the load state and the last error of every source
+ * @param req request object
+ * @param res response object
+ * @param next will be called if request is not handled
+ */
+function statusHandler(req, res, next) {
+  const start = Date.now();
+
+  return Promise.try(() => {
+    checkAdminKey(req);
+    res.json(core.getSources().getStatus());
+    core.metrics.endTiming('req._sources.status', start);
+  }).catch(err => core.reportRequestError(err, res)).catch(next);
+}
+
+/**
+ * Web server (express) route handler to list all aliases with their targets
+ * @param req request object
+ * @param res response object
+ * @param next will be called if request is not handled
+ */
+function aliasesHandler(req, res, next) {
+  const start = Date.now();
+
+  return Promise.try(() => {
+    checkAdminKey(req);
+    res.json(core.getSources().getAliases());
+    core.metrics.endTiming('req._aliases', start);
+  }).catch(err => core.reportRequestError(err, res)).catch(next);
+}
+
+/**
+ * Web server (express) route handler to switch the alias to another target, given as ?target=
+ * @param req request object
+ * @param res response object
+ * @param next will be called if request is not handled
+ */
+function switchAliasHandler(req, res, next) {
+  const start = Date.now();
+
+  return Promise.try(() => {
+    checkAdminKey(req);
+    if (!req.query || !req.query.target) {
+      throw new Err('target parameter is not set').metrics('err.req.alias');
+    }
+    return core.getSources().setAliasTargetAsync(req.params.alias, req.query.target);
+  }).then((alias) => {
+    res.json(alias);
+    core.metrics.endTiming('req._aliases.switch', start);
+  }).catch(err => core.reportRequestError(err, res)).catch(next);
+}
+
+/**
+ * Web server (express) route handler to switch the alias back to its previous target
+ * @param req request object
+ * @param res response object
+ * @param next will be called if request is not handled
+ */
+function rollbackAliasHandler(req, res, next) {
+  const start = Date.now();
+
+  return Promise.try(() => {
+    checkAdminKey(req);
+    return core.getSources().rollbackAliasAsync(req.params.alias);
+  }).then((alias) => {
+    res.json(alias);
+    core.metrics.endTiming('req._aliases.rollback', start);
+  }).catch(err => core.reportRequestError(err, res)).catch(next);
+}
+
+module.exports = function admin(cor, router) {
+  core = cor;
+
+  router.post('/_sources/reload', reloadHandler);
+  router.get('/_sources/graph', graphHandler);
+  router.get('/_sources/status', statusHandler);
+  router.get('/_aliases', aliasesHandler);
+  router.post(`/_aliases/:alias(${core.Sources.sourceIdReStr})`, switchAliasHandler);
+  router.post(`/_aliases/:alias(${core.Sources.sourceIdReStr})/rollback`, rollbackAliasHandler);
+};
+
+module.exports.checkAdminKey = checkAdminKey;
@@ -0,0 +1,247 @@
+const util = require('util');
+const _ = require('underscore');
+const Promise = require('bluebird');
+const tar = require('tar-stream');
+const Err = require('@kartotherian/err');
+const tiles = require('./tiles');
+
+// Maximum number of tiles in one request, unless set by the batchMaxTiles configuration value
+const defaultMaxTiles = 1000;
+
+// Number of tiles requested from the source at the same time
+const concurrency = 4;
+
+const maxLatitude = 85.0511287798;
+
+let core;
+
+/**
+ * @param {number} lon
+ * @param {number} lat
+ * @param {int} zoom
+ * @returns {int[]} [x, y] of the tile that has the point
+ */
+function pointToTile(lon, lat, zoom) {
+  // eslint-disable-next-line no-restricted-properties
+  const size = Math.pow(2, zoom);
+  const latRad = (Math.min(maxLatitude, Math.max(-maxLatitude, lat)) * Math.PI) / 180;
+  const x = Math.floor(((lon + 180) / 360) * size);
+  const mercatorY = Math.log(Math.tan(latRad) + (1 / Math.cos(latRad))) / Math.PI;
+  const y = Math.floor(((1 - mercatorY) / 2) * size);
+  return [Math.min(size - 1, Math.max(0, x)), Math.min(size - 1, Math.max(0, y))];
+}
+
+/**
+ * Get the tiles covering the bbox at every zoom level of the range.
+ * The number of tiles is checked before they are listed, so that a huge bbox fails fast
+ * @param {number[]} bbox [west, south, east, north]
+ * @param {int} minzoom
+ * @param {int} maxzoom
+ * @param {int} maxTiles
+ * @returns {Array[]} list of [z, x, y]
+ */
+function getBboxTiles(bbox, minzoom, maxzoom, maxTiles) {
+  if (!Array.isArray(bbox) || bbox.length !== 4 || !_.every(bbox, Number.isFinite) ||
+    bbox[0] > bbox[2] || bbox[1] > bbox[3]
+  ) {
+    throw new Err('bbox must be [west, south, east, north]').metrics('err.req.batch');
+  }
+  if (!Number.isInteger(minzoom) || !Number.isInteger(maxzoom) || minzoom > maxzoom) {
+    throw new Err('minzoom and maxzoom must be integers, with minzoom <= maxzoom').metrics('err.req.batch');
+  }
+
+  const ranges = [];
+  let count = 0;
+  for (let z = minzoom; z <= maxzoom; z += 1) {
+    const [minX, minY] = pointToTile(bbox[0], bbox[3], z);
+    const [maxX, maxY] = pointToTile(bbox[2], bbox[1], z);
+    count += ((maxX - minX) + 1) * ((maxY - minY) + 1);
+    if (count > maxTiles) {
+      throw new Err('The bbox has more than %d tiles', maxTiles).metrics('err.req.batch');
+    }
+    ranges.push({
+      z, minX, minY, maxX, maxY,
+    });
+  }
+
+  const result = [];
+  _.each(ranges, (range) => {
+    for (let x = range.minX; x <= range.maxX; x += 1) {
+      for (let y = range.minY; y <= range.maxY; y += 1) {
+        result.push([range.z, x, y]);
+      }
+    }
+  });
+  return result;
+}
+
+/**
+ * Get the validated tiles of the request body, either listed as tiles: [[z, x, y], ...],
+ * or given as bbox: [west, south, east, north] with the minzoom and maxzoom
+ * @param {object} source
+ * @param {object} req request object
+ * @returns {object[]} list of {params, opts}, as needed by tiles.getTileAsync()
+ */
+function getRequestedTiles(source, req) {
+  const body = req.body || {};
+  const maxTiles = core.getConfiguration().batchMaxTiles || defaultMaxTiles;
+  let coords;
+
+  if (body.tiles !== undefined) {
+    if (!Array.isArray(body.tiles) ||
+      !_.every(body.tiles, tile => Array.isArray(tile) && tile.length === 3)
+    ) {
+      throw new Err('tiles must be a list of [z, x, y]').metrics('err.req.batch');
+    }
+    coords = _.uniq(body.tiles, false, tile => tile.join('/'));
+    if (coords.length > maxTiles) {
+      throw new Err('No more than %d tiles can be requested at once', maxTiles).metrics('err.req.batch');
+    }
+  } else if (body.bbox !== undefined) {
+    coords = getBboxTiles(body.bbox, body.minzoom, body.maxzoom, maxTiles);
+  } else {
+    throw new Err('Either tiles or bbox must be given').metrics('err.req.batch');
+  }
+
+  // All tiles are validated before anything is sent, so that a bad request gets a proper error
+  return _.map(coords, ([z, x, y]) => {
+    const params = _.extend(_.pick(req.params, 'format', 'scale'), { z, x, y });
+    const opts = tiles.validateTileParams(source, params, req.query && req.query.lang);
+    return { params, opts };
+  });
+}
+
+/**
+ * @param {object} params validated tile parameters
+ * @returns {string} name of the tile in the archive, e.g. 3/4/2@2x.png
+ */
+function getEntryName(params) {
+  const scale = params.scale ? `@${params.scale}x` : '';
+  return `${params.z}/${params.x}/${params.y}${scale}.${params.format}`;
+}
+
+/**
+ * Send the archive to the client, pausing it whenever the response buffer is full,
+ * and destroying it if the client goes away before it is complete
+ * @param {object} req request object
+ * @param {object} res response object
+ * @param {object} pack tar-stream pack
+ * @returns {object} {aborted, waitForDrain}, where waitForDrain() resolves once the client
+ *   is ready to receive more data, or has gone away
+ */
+function streamArchive(req, res, pack) {
+  let drained = Promise.resolve();
+  let onDrain;
+  const output = {
+    aborted: false,
+    waitForDrain: () => drained,
+  };
+
+  const abort = () => {
+    if (!output.aborted && !res.finished) {
+      output.aborted = true;
+      pack.destroy();
+      if (onDrain) {
+        onDrain();
+      }
+    }
+  };
+  req.on('aborted', abort);
+  res.on('close', abort);
+
+  pack.on('data', (chunk) => {
+    if (!res.write(chunk) && !onDrain) {
+      pack.pause();
+      drained = new Promise((resolve) => {
+        const resume = () => {
+          res.removeListener('drain', resume);
+          onDrain = undefined;
+          resolve();
+        };
+        onDrain = resume;
+        res.once('drain', resume);
+      }).then(() => pack.resume());
+    }
+  });
+  pack.on('end', () => res.end());
+
+  return output;
+}
+
+/**
+ * Web server (express) route handler to get many tiles of a source in one tar archive.
+ * The tiles are stored the same way they are given by the source, e.g. vector tiles stay
+ * compressed. The last entry of the archive is manifest.json, listing the encoding of every tile,
+ * as well as the missing tiles and those that could not be generated.
+ * @param req request object
+ * @param res response object
+ * @param next will be called if request is not handled
+ */
+function requestHandler(req, res, next) {
+  const start = Date.now();
+  let source;
+
+  return Promise.try(() => {
+    source = core.getPublicSource(req.params.src, req);
+    const requested = getRequestedTiles(source, req);
+    const manifest = {
+      source: req.params.src,
+      format: req.params.format,
+      scale: requested.length > 0 ? requested[0].params.scale : undefined,
+      tiles: [],
+      missing: [],
+      failed: [],
+    };
+    const pack = tar.pack();
+    const output = streamArchive(req, res, pack);
+
+    res.type('application/x-tar');
+    res.attachment(`${req.params.src}.tar`);
+
+    return Promise.map(requested, ({ params, opts }) => {
+      const tile = _.pick(params, 'z', 'x', 'y');
+      if (output.aborted) {
+        // There is nobody to send the rest of the tiles to
+        return undefined;
+      }
+      return tiles.getTileAsync(source, params, opts).then((result) => {
+        const name = getEntryName(params);
+        const data = Buffer.isBuffer(result.data)
+          ? result.data : Buffer.from(JSON.stringify(result.data));
+        // Fetching more tiles waits while the client is slower than the source
+        return output.waitForDrain().then(() => {
+          pack.entry({ name }, data);
+          manifest.tiles.push(_.extend(tile, {
+            name,
+            encoding: core.getContentEncoding(result.headers),
+          }));
+        });
+      }).catch((err) => {
+        if (Err.isNoTileError(err) || err.status === 404) {
+          manifest.missing.push(tile);
+        } else {
+          core.log('warn', `Unable to get batch tile ${getEntryName(params)}: ${core.errToStr(err)}`);
+          manifest.failed.push(_.extend(tile, { error: err.message }));
+        }
+      });
+    }, { concurrency }).then(() => {
+      const mx = util.format('req.%s.batch.%s', req.params.src, req.params.format);
+      if (output.aborted) {
+        core.metrics.increment(`${mx}.aborted`);
+        return;
+      }
+      pack.entry({ name: 'manifest.json' }, JSON.stringify(manifest, null, 2));
+      pack.finalize();
+      core.metrics.endTiming(mx, start);
+    });
+  }).catch(err => core.reportRequestError(err, res, source)).catch(next);
+}
+
+module.exports = function batch(cor, router) {
+  core = cor;
+
+  // get many tiles at once, e.g. POST /osm-intl/batch.png with {"tiles": [[3, 4, 2], [3, 4, 3]]}
+  const batchPath = `/:src(${core.Sources.sourceIdReStr})/batch`;
+  router.post(`${batchPath}.:format([\\w]+)`, requestHandler);
+  router.post(`${batchPath}@:scale([\\.\\d]+)x.:format([\\w]+)`, requestHandler);
+};
@@ -0,0 +1,65 @@
+const querystring = require('querystring');
+const _ = require('underscore');
+const Promise = require('bluebird');
+const Err = require('@kartotherian/err');
+
+// Same as the lang param of the tile requests
+const langCodeRe = /^[-_a-zA-Z]+$/;
+
+// Credentials of the request, passed on to the links so that they work for non-public sources
+const credentialParams = ['key', 'keyId', 'expires', 'signature'];
+
+/**
+ * @param {*} value
+ * @returns {string} value, escaped to be used as XML text or attribute
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Get all public sources that are not disabled, together with their info,
+ * to be listed by the service description documents like WMTS capabilities
+ * @param {object} core
+ * @returns {Promise} resolves to an array of {sourceId, source, info}, info is {} if unavailable
+ */
+function getPublicSourcesAsync(core) {
+  return Promise.try(() => {
+    const allPublic = core.getConfiguration().allSourcesPublic;
+    const sources = [];
+
+    _.each(core.getSources().getSourceConfigs(), (source, sourceId) => {
+      if ((source.public || allPublic) && !source.isDisabled) {
+        sources.push({ sourceId, source });
+      }
+    });
+
+    return Promise.map(sources, entry => entry.source.getHandler().getInfoAsync()
+      .catch(() => undefined)
+      .then(info => _.extend(entry, { info: info || {} })));
+  });
+}
+
+/**
+ * Get the query string to add to the links to this service, e.g. the tile URLs,
+ * with the lang and the credentials of the request
+ * @param req request object
+ * @returns {string} "?..." or an empty string
+ */
+function getLinkQuery(req) {
+  const query = req.query || {};
+  const params = _.pick(query, credentialParams);
+  if (query.lang) {
+    if (!langCodeRe.test(query.lang)) {
+      throw new Err('lang param is not valid').metrics('err.req.lang');
+    }
+    params.lang = query.lang;
+  }
+  return _.isEmpty(params) ? '' : `?${querystring.stringify(params)}`;
+}
+
+module.exports = { escapeXml, getPublicSourcesAsync, getLinkQuery };
@@ -0,0 +1,111 @@
+const _ = require('underscore');
+const Promise = require('bluebird');
+const Err = require('@kartotherian/err');
+const admin = require('./admin');
+
+let core;
+
+// Probes that are still running, by source, possibly long after their health check has timed out
+const runningProbes = new WeakMap();
+
+/**
+ * Fetch the source's probe tile, bypassing the caches and the request coalescing.
+ * The handlers can not be cancelled, so a probe that takes longer than the timeout is not
+ * repeated until it finishes, and the health checks made meanwhile wait for the same probe.
+ * @param {object} source
+ * @param {string} sourceId
+ * @param {int} timeout milliseconds
+ * @returns {Promise} resolves to {ok, latency, error}, where latency is how long
+ *   this health check has waited for the probe
+ */
+function probeSource(source, sourceId, timeout) {
+  const start = Date.now();
+  let probe = runningProbes.get(source);
+  if (!probe) {
+    const opts = _.extend({ type: 'tile' }, source.healthProbe, { noCache: true });
+    probe = Promise.try(() => source.getHandler().getAsync(opts)).then((result) => {
+      if (!result || !result.data || result.data.length === 0) {
+        throw new Err('Probe tile is empty');
+      }
+    }).finally(() => runningProbes.delete(source));
+    runningProbes.set(source, probe);
+  }
+
+  return probe
+    .timeout(timeout, `Probe tile timed out after ${timeout}ms`)
+    .then(() => ({ ok: true, latency: Date.now() - start }), (err) => {
+      core.log('warn', `Health probe of ${sourceId} has failed: ${core.errToStr(err)}`);
+      return {
+        ok: false,
+        latency: Date.now() - start,
+        error: err.message || 'error/unknown',
+      };
+    });
+}
+
+/**
+ * Web server (express) route handler to report the health of the service.
+ * Responds with 503 if any source with a healthProbe is disabled or fails to return its probe tile.
+ * The sources are only listed, with their load state, errors and probe results, if the request
+ * has the X-Admin-Key header, as they may reveal the private sources and the internals
+ * of the service. Everyone else only gets the overall status.
+ * @param req request object
+ * @param res response object
+ * @param next will be called if request is not handled
+ */
+function healthHandler(req, res, next) {
+  const start = Date.now();
+  const conf = core.getConfiguration().health || {};
+  const timeout = conf.timeout || 5000;
+  let details = false;
+
+  return Promise.try(() => {
+    if (req.get('X-Admin-Key') !== undefined) {
+      admin.checkAdminKey(req);
+      details = true;
+    }
+    const sources = core.getSources();
+    const status = sources.getStatus();
+
+    return Promise.props(_.mapObject(sources.getSourceConfigs(), (source, sourceId) => {
+      const report = {
+        enabled: !source.isDisabled,
+        state: status[sourceId] && status[sourceId].state,
+        lastError: status[sourceId] && status[sourceId].lastError,
+      };
+      if (!source.healthProbe) {
+        // Sources without a probe are reported, but do not affect the overall health
+        report.ok = true;
+        return report;
+      }
+      if (source.isDisabled) {
+        report.ok = false;
+        return report;
+      }
+      return probeSource(source, sourceId, timeout).then((probe) => {
+        report.ok = probe.ok;
+        report.probe = probe;
+        return report;
+      });
+    }));
+  }).then((reports) => {
+    const healthy = _.all(reports, report => report.ok);
+    const result = { status: healthy ? 'ok' : 'error' };
+    if (details) {
+      result.sources = reports;
+    }
+
+    res
+      .status(healthy ? 200 : 503)
+      .header('Cache-Control', 'no-cache, no-store, must-revalidate')
+      .json(result);
+
+    core.metrics.endTiming(healthy ? 'req._health' : 'req._health.error', start);
+  }).catch(err => core.reportRequestError(err, res)).catch(next);
+}
+
+module.exports = function health(cor, router) {
+  core = cor;
+
+  router.get('/_health', healthHandler);
+};
@@ -1,9 +1,44 @@
 const infoHeaders = {};
 const util = require('util');
+const _ = require('underscore');
 const Promise = require('bluebird');
+const catalog = require('./catalog');
+const tiles = require('./tiles');
 
 let core;
 
+/**
+ * Create absolute tile URL templates for every format and scale allowed by the source
+ * @param {object} source
+ * @param {string} sourceId
+ * @param req request object
+ * @returns {string[]} templates of the ?format= format go first, or of the first allowed format
+ */
+function createTileUrls(source, sourceId, req) {
+  const query = req.query || {};
+  const queryStr = catalog.getLinkQuery(req);
+
+  const formats = _.contains(source.formats, query.format)
+    ? [query.format].concat(_.without(source.formats, query.format))
+    : source.formats;
+  const prefix = `${core.getPublicUrl(req)}/${sourceId}/{z}/{x}/{y}`;
+
+  return _.flatten(_.map(formats, (fmt) => {
+    const scaled = _.map(source.scales, scale => `${prefix}@${scale}x.${fmt}${queryStr}`);
+    return [`${prefix}.${fmt}${queryStr}`].concat(scaled);
+  }));
+}
+
+/**
+ * Create absolute UTFGrid URL template of the source
+ * @param {string} sourceId
+ * @param req request object
+ * @returns {string[]}
+ */
+function createGridUrls(sourceId, req) {
+  return [`${core.getPublicUrl(req)}/${sourceId}/{z}/{x}/{y}.grid.json${catalog.getLinkQuery(req)}`];
+}
+
 /**
  * Web server (express) route handler to get requested tile or info
  * @param req request object
@@ -15,12 +50,23 @@ function requestHandler(req, res, next) {
   let source;
 
   return Promise.try(() => {
-    source = core.getPublicSource(req.params.src);
-    return source.getHandler().getInfoAsync().then(info => [info, infoHeaders]);
+    source = core.getPublicSource(req.params.src, req);
+    return source.getHandler().getInfoAsync().then((info) => {
+      // Tile and grid URLs set in the source config are kept as is
+      const explicitInfo = _.extend({}, source.setInfo, source.overrideInfo);
+      const result = _.extend({}, info);
+      if (explicitInfo.tiles === undefined) {
+        result.tiles = createTileUrls(source, req.params.src, req);
+      }
+      if (explicitInfo.grids === undefined && tiles.hasInteractivity(info)) {
+        result.grids = createGridUrls(req.params.src, req);
+      }
+      return [result, infoHeaders];
+    });
   }).spread((data, dataHeaders) => {
     core.setResponseHeaders(res, source, dataHeaders);
 
-    if (req.query && req.query.format) {
+    if (req.query && req.query.format && !_.contains(source.formats, req.query.format)) {
       const escapedText = JSON.stringify(data, null, ' ').replace(/&/g, '&amp;').replace(/</g, '&lt;');
       res.send(`<pre>${escapedText}</pre>`);
     } else {
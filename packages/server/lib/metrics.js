@@ -0,0 +1,60 @@
+const _ = require('underscore');
+const Promise = require('bluebird');
+
+// Load states of the sources, as reported by Sources.getStatus()
+const sourceStates = ['loading', 'ready', 'waiting', 'retrying', 'failed'];
+
+let core;
+
+/**
+ * Get the current state of every source as Prometheus gauges
+ * @returns {object[]}
+ */
+function getSourceGauges() {
+  const status = core.getSources().getStatus();
+  const stateSeries = [];
+  const attemptsSeries = [];
+
+  _.each(status, (srcStatus, source) => {
+    _.each(sourceStates, (state) => {
+      stateSeries.push({ labels: { source, state }, value: srcStatus.state === state ? 1 : 0 });
+    });
+    attemptsSeries.push({ labels: { source }, value: srcStatus.attempts || 0 });
+  });
+
+  return [{
+    name: 'kartotherian_source_state',
+    help: 'Load state of the source, 1 for the current one',
+    series: stateSeries,
+  }, {
+    name: 'kartotherian_source_failed_attempts',
+    help: 'Number of failed attempts to load the source since it was last ready',
+    series: attemptsSeries,
+  }];
+}
+
+/**
+ * Web server (express) route handler to report all metrics in the Prometheus text format.
+ * With multiple workers, each one reports only the requests it has handled,
+ * with its process ID as the worker label of every value.
+ * @param req request object
+ * @param res response object
+ * @param next will be called if request is not handled
+ */
+function metricsHandler(req, res, next) {
+  return Promise.try(() => {
+    res
+      .type('text/plain; version=0.0.4; charset=utf-8')
+      .header('Cache-Control', 'no-cache, no-store, must-revalidate')
+      // A new connection for every scrape lets the cluster pass them to all workers in turn,
+      // instead of the worker that has accepted the kept-alive connection answering all of them
+      .header('Connection', 'close')
+      .send(core.getPrometheusMetrics().format(getSourceGauges()));
+  }).catch(err => core.reportRequestError(err, res)).catch(next);
+}
+
+module.exports = function metrics(cor, router) {
+  core = cor;
+
+  router.get('/metrics', metricsHandler);
+};
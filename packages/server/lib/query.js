@@ -0,0 +1,119 @@
+const util = require('util');
+const _ = require('underscore');
+const Promise = require('bluebird');
+const checkType = require('@kartotherian/input-validator');
+const Err = require('@kartotherian/err');
+
+// Same as the lang param of the tile requests
+const langCodeRe = /^[-_a-zA-Z]+$/;
+
+// Web mercator has no tiles beyond these latitudes
+const maxLatitude = 85.0511287798;
+
+let core;
+
+/**
+ * Validate the query parameters of the request
+ * @param {object} source
+ * @param req request object
+ * @returns {object} {z, lon, lat, opts, layers}, where opts are the queryTile() options
+ */
+function parseRequest(source, req) {
+  const { params } = req;
+  const query = req.query || {};
+
+  const lon = checkType.strToFloat(params.lon);
+  const lat = checkType.strToFloat(params.lat);
+  if (
+    !Number.isFinite(lon) || !Number.isFinite(lat) ||
+    Math.abs(lon) > 180 || Math.abs(lat) > maxLatitude
+  ) {
+    throw new Err('lon,lat coordinates are not valid').metrics('err.req.coords');
+  }
+
+  const z = core.validateZoom(query.z, source);
+
+  // Distance in meters from the point, within which the features are found
+  const radius = query.radius === undefined ? 0 : checkType.strToFloat(query.radius);
+  if (!Number.isFinite(radius) || radius < 0) {
+    throw new Err('radius must be a non-negative number of meters').metrics('err.req.query');
+  }
+
+  const opts = { tolerance: radius };
+  if (query.lang) {
+    if (!langCodeRe.test(query.lang)) {
+      throw new Err('lang param is not valid').metrics('err.req.lang');
+    }
+    opts.lang = query.lang;
+  }
+
+  const layers = query.layers ? _.compact(query.layers.split(',')) : undefined;
+
+  return {
+    z, lon, lat, opts, layers,
+  };
+}
+
+/**
+ * Web server (express) route handler to get the features of the source near the point,
+ * as a GeoJSON FeatureCollection. The geometry of each feature is the point where it was hit,
+ * and its layer and distance are set next to its properties.
+ * The source must support queryTile(), e.g. a tilelive-vector source. The sources that wrap it,
+ * as well as the aliases, do not, and get HTTP 400 instead.
+ * @param req request object
+ * @param res response object
+ * @param next will be called if request is not handled
+ */
+function requestHandler(req, res, next) {
+  const start = Date.now();
+  let source;
+
+  return Promise.try(() => {
+    source = core.getPublicSource(req.params.src, req);
+    const handler = source.getHandler();
+    if (!handler || typeof handler.queryTile !== 'function') {
+      // Wrappers like cache:// or overzoom:// only pass on the tile requests
+      throw new Err('Source does not support feature queries, only the tilelive-vector sources do, ' +
+        'not the alias, cache, throttle, or overzoom sources based on them').metrics('err.req.query');
+    }
+
+    const {
+      z, lon, lat, opts, layers,
+    } = parseRequest(source, req);
+    return Promise.fromCallback(
+      cb => handler.queryTile(z, lon, lat, opts, cb),
+      { multiArgs: true }
+    ).spread((results, headers) => ({
+      headers,
+      results: layers ? _.filter(results, feature => _.contains(layers, feature.layer)) : results,
+    }));
+  }).then(({ results, headers }) => {
+    core.setResponseHeaders(res, source, headers);
+
+    if (req.fresh) {
+      res.status(304).end();
+    } else {
+      res.json({
+        type: 'FeatureCollection',
+        features: _.map(results, feature => ({
+          type: 'Feature',
+          id: feature.id,
+          geometry: feature.geometry,
+          properties: feature.attributes,
+          layer: feature.layer,
+          distance: feature.distance,
+        })),
+      });
+    }
+
+    const mx = util.format('req.%s.query', req.params.src);
+    core.metrics.endTiming(mx, start);
+  }).catch(err => core.reportRequestError(err, res, source)).catch(next);
+}
+
+module.exports = function query(cor, router) {
+  core = cor;
+
+  // get features near a point, e.g. /osm-intl/query/-3.14,42.json?z=12&radius=50&lang=fr
+  router.get(`/:src(${core.Sources.sourceIdReStr})/query/:lon(-?[\\d.]+),:lat(-?[\\d.]+).json`, requestHandler);
+};
@@ -4,13 +4,24 @@ const express = require('express');
 const compression = require('compression');
 const tiles = require('./tiles');
 const info = require('./info');
+const style = require('./style');
+const admin = require('./admin');
+const health = require('./health');
+const metrics = require('./metrics');
+const wmts = require('./wmts');
+const tms = require('./tms');
+const batch = require('./batch');
+const query = require('./query');
 
 module.exports.init = function init(opts) {
   return Promise.try(() => {
     const router = express.Router();
     const handlers = opts.requestHandlers || [];
 
-    handlers.unshift(tiles, info);
+    // Express turns the "*" of Sources.sourceIdReStr into "(.*)", so the :src param matches
+    // slashes too, and /:src/:z/:x/:y.:format also matches the longer WMTS and TMS tile paths.
+    // Those must be routed first.
+    handlers.unshift(wmts, tms, tiles, info, style, batch, query, admin, health, metrics);
     return Promise.mapSeries(handlers, reqHandler => reqHandler(opts.core, router)).return(router);
   }).then((router) => {
     // Add before static to prevent disk IO on each tile request
@@ -0,0 +1,87 @@
+const util = require('util');
+const _ = require('underscore');
+const Promise = require('bluebird');
+const Err = require('@kartotherian/err');
+const catalog = require('./catalog');
+
+// Format of the tiles each type of the style sources needs
+const styleSourceFormats = { vector: ['pbf'], raster: ['png', 'jpeg', 'webp'] };
+
+let core;
+
+/**
+ * Point the vector and raster sources of the style to the TileJSON of this service.
+ * A style source whose name is the id of a Kartotherian source uses that source,
+ * all others use the source the style belongs to.
+ * @param {object} styleSources sources value of the style, modified in place
+ * @param {string} sourceId
+ * @param {string} baseUrl
+ * @param {string} linkQuery query string to add to the TileJSON URLs
+ */
+function rewriteSources(styleSources, sourceId, baseUrl, linkQuery) {
+  _.each(styleSources, (styleSource, name) => {
+    if (!_.has(styleSourceFormats, styleSource.type)) {
+      // e.g. geojson and image sources have their data inline or elsewhere
+      return;
+    }
+    const targetId = core.getSources().getSourceById(name, true) ? name : sourceId;
+    const { formats } = core.getSources().getSourceById(targetId, true) || {};
+    const format = _.find(styleSourceFormats[styleSource.type], fmt => _.contains(formats, fmt));
+    const params = format ? `format=${format}` : '';
+    let query = linkQuery;
+    if (params) {
+      query = linkQuery ? `${linkQuery}&${params}` : `?${params}`;
+    }
+
+    // eslint-disable-next-line no-param-reassign
+    styleSources[name] = _.extend(_.omit(styleSource, 'tiles'), {
+      url: `${baseUrl}/${targetId}/info.json${query}`,
+    });
+  });
+}
+
+/**
+ * Web server (express) route handler to get the Mapbox GL style of the source,
+ * with its sources, glyphs and sprite pointing to this service
+ * @param req request object
+ * @param res response object
+ * @param next will be called if request is not handled
+ */
+function requestHandler(req, res, next) {
+  const start = Date.now();
+  let source;
+
+  return Promise.try(() => {
+    source = core.getPublicSource(req.params.src, req);
+    if (!source.styleJson) {
+      throw new Err('Source has no style').metrics('err.req.style').status(404);
+    }
+
+    const baseUrl = core.getPublicUrl(req);
+    // The loaded style is shared by all requests
+    const style = JSON.parse(JSON.stringify(source.styleJson));
+
+    rewriteSources(style.sources, req.params.src, baseUrl, catalog.getLinkQuery(req));
+    if (style.glyphs) {
+      style.glyphs = `${baseUrl}/fonts/{fontstack}/{range}.pbf`;
+    }
+    if (style.sprite) {
+      // Keep the name of the sprite, e.g. "bright" of "https://example.org/sprites/bright"
+      const spriteName = style.sprite.replace(/[?#].*$/, '').replace(/\/+$/, '').split('/').pop();
+      style.sprite = `${baseUrl}/sprite/${spriteName}`;
+    }
+
+    core.setResponseHeaders(res, source);
+    res.json(style);
+
+    const mx = util.format('req.%s.style', req.params.src);
+    core.metrics.endTiming(mx, start);
+  }).catch(err => core.reportRequestError(err, res)).catch(next);
+}
+
+module.exports = function style(cor, router) {
+  core = cor;
+
+  // get Mapbox GL style (json)
+  router.get(`/:src(${core.Sources.sourceIdReStr})/style.json`, requestHandler);
+};
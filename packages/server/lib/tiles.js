@@ -43,66 +43,209 @@ function filterJson(query, data) {
 }
 
 /**
- * Web server (express) route handler to get requested tile
- *
+ * Parse Accept-Encoding header
+ * @param {string} header
+ * @returns {object} encoding => quality value
+ */
+function parseAcceptEncoding(header) {
+  const result = {};
+  _.each((header || '').split(','), (value) => {
+    const parts = value.split(';');
+    const encoding = parts[0].trim().toLowerCase();
+    if (encoding) {
+      const qParam = _.find(parts.slice(1), p => /^\s*q=/.test(p));
+      result[encoding] = qParam ? parseFloat(qParam.split('=')[1]) || 0 : 1;
+    }
+  });
+  return result;
+}
+
+/**
+ * Pick the encoding of the response. Unless the tileEncodings config value sets the order
+ * of preference, tiles are sent with the stored encoding whenever the client accepts it,
+ * so that they are not re-compressed on every request. Otherwise, the first of the server's
+ * preferred encodings that the client accepts is used.
  * @param {Object} req request object
- * @param {Object} res response object
- * @param {Promise} next will be called if request is not handled
+ * @param {string} [stored] encoding of the data given by the source, undefined if uncompressed
+ * @returns {string|undefined} undefined if the data should not be compressed
  */
-function requestHandler(req, res, next) {
-  const params = req && req.params;
-  const start = Date.now();
-  let source;
-  let opts;
+function negotiateEncoding(req, stored) {
+  const accepted = parseAcceptEncoding(req.get('Accept-Encoding'));
+  const isAccepted = (encoding) => {
+    if (accepted[encoding] !== undefined) {
+      return accepted[encoding] > 0;
+    }
+    // Uncompressed data is acceptable unless it is explicitly refused
+    return accepted['*'] !== undefined ? accepted['*'] > 0 : encoding === 'identity';
+  };
+  const configured = core.getConfiguration().tileEncodings;
 
-  return Promise.try(() => {
-    source = core.getPublicSource(params.src);
+  if (!configured && isAccepted(stored || 'identity')) {
+    return stored;
+  }
+  return _.find(_.intersection(configured || core.getEncodings(), core.getEncodings()), isAccepted);
+}
 
-    if (!_.contains(source.formats, params.format)) {
-      throw new Err('Format %s is not known', params.format).metrics('err.req.format');
-    }
+/**
+ * Change the ETag of the data that is sent with a different encoding than the source has given,
+ * because strong ETags must differ for every representation of the same resource
+ * @param {Object} headers
+ * @param {string} [encoding] new encoding, or undefined if the data is not compressed
+ */
+function setEncodingEtag(headers, encoding) {
+  const key = _.find(_.keys(headers), k => /^etag$/i.test(k));
+  const match = key && /^(W\/)?"(.*)"$/.exec(headers[key]);
+  if (match) {
+    // eslint-disable-next-line no-param-reassign
+    headers[key] = `${match[1] || ''}"${match[2]}-${encoding || 'identity'}"`;
+  }
+}
 
-    params.z = core.validateZoom(params.z, source);
-    params.scale = core.validateScale(params.scale, source);
+/**
+ * Re-compress vector tiles and any other compressed data to the encoding requested
+ * by the client, if it differs from the one given by the source.
+ * Clients that do not send Accept-Encoding at all get the data as it was given by the source
+ * @param {Object} req request object
+ * @param {Object} res response object
+ * @param {string} format
+ * @param {Object} result tile data and headers
+ * @returns {Promise|Object}
+ */
+function encodeTileAsync(req, res, format, result) {
+  if (format === 'json' || (format !== 'pbf' && !core.getContentEncoding(result.headers))) {
+    return result;
+  }
+  // The response depends on the Accept-Encoding, even if it ends up to be the same encoding
+  res.vary('Accept-Encoding');
 
-    params.x = checkType.strToInt(params.x);
-    params.y = checkType.strToInt(params.y);
-    if (
-      !qidx.isValidCoordinate(params.x, params.z) || !qidx.isValidCoordinate(params.y, params.z)
-    ) {
-      throw new Err('x,y coordinates are not valid, or not allowed for this zoom').metrics('err.req.coords');
+  if (req.get('Accept-Encoding') === undefined) {
+    return result;
+  }
+  const stored = core.getContentEncoding(result.headers);
+  const encoding = negotiateEncoding(req, stored);
+  if (encoding === stored) {
+    return result;
+  }
+  const headers = _.clone(result.headers) || {};
+  setEncodingEtag(headers, encoding);
+  return core.uncompressAsync(result.data, headers).then((data) => {
+    if (!encoding) {
+      return { data, headers };
     }
+    return core.compressPbfAsync({ data, headers }, encoding);
+  });
+}
 
-    opts = {
-      z: params.z,
-      x: params.x,
-      y: params.y,
-    };
-    if (params.format !== 'pbf') {
-      // Ensure that PNGs are not 32bit
-      // TODO: this should be source-configurable
-      opts.format = params.format === 'png' ? 'png8:m=h' : params.format;
-      if (params.scale) {
-        opts.scale = params.scale;
-      }
+/**
+ * Validate the location of the requested tile and its language, converting z, x, y and scale
+ * in place. The format is not checked
+ * @param {object} source
+ * @param {object} params {z, x, y, scale} as strings given by the request
+ * @param {string} [lang] requested language
+ * @returns {object} {z, x, y, lang} options for the source's getAsync()
+ */
+function validateTileCoords(source, params, lang) {
+  /* eslint-disable no-param-reassign */
+  params.z = core.validateZoom(params.z, source);
+  params.scale = core.validateScale(params.scale, source);
+
+  params.x = checkType.strToInt(params.x);
+  params.y = checkType.strToInt(params.y);
+  /* eslint-enable no-param-reassign */
+  if (
+    !qidx.isValidCoordinate(params.x, params.z) || !qidx.isValidCoordinate(params.y, params.z)
+  ) {
+    throw new Err('x,y coordinates are not valid, or not allowed for this zoom').metrics('err.req.coords');
+  }
+
+  const opts = {
+    z: params.z,
+    x: params.x,
+    y: params.y,
+  };
+  if (lang) {
+    if (!langCodeRe.test(lang)) {
+      throw new Err('lang param is not valid').metrics('err.req.lang');
     }
-    if (req.query && req.query.lang) {
-      if (!langCodeRe.test(req.query.lang)) {
-        throw new Err('lang param is not valid').metrics('err.req.lang');
-      }
-      opts.lang = req.query.lang;
+    opts.lang = lang;
+  }
+
+  return opts;
+}
+
+/**
+ * Validate the tile request parameters, converting z, x, y and scale in place
+ * @param {object} source
+ * @param {object} params {z, x, y, format, scale} as strings given by the request
+ * @param {string} [lang] requested language
+ * @returns {object} options for the source's getAsync()
+ */
+function validateTileParams(source, params, lang) {
+  if (!_.contains(source.formats, params.format)) {
+    throw new Err('Format %s is not known', params.format).metrics('err.req.format');
+  }
+
+  const opts = validateTileCoords(source, params, lang);
+  if (params.format !== 'pbf') {
+    // Ensure that PNGs are not 32bit
+    // TODO: this should be source-configurable
+    opts.format = params.format === 'png' ? 'png8:m=h' : params.format;
+    if (params.scale) {
+      opts.scale = params.scale;
     }
+  }
 
-    // fixme: Force all tiles to be treated as vector
-    opts.treatAsVector = true;
+  // fixme: Force all tiles to be treated as vector
+  opts.treatAsVector = true;
 
+  return opts;
+}
+
+/**
+ * Get the tile from the source, unless it is outside of the source bounds
+ * @param {object} source
+ * @param {object} params validated request parameters
+ * @param {object} opts options for the source's getAsync()
+ * @returns {Promise} resolves to {data, headers}
+ */
+function getTileAsync(source, params, opts) {
+  const tileBounds = core.getTileBounds(params.z, params.x, params.y);
+  return core.isWithinSourceBoundsAsync(source, tileBounds).then((isWithin) => {
+    if (!isWithin) {
+      // Tiles outside of the source bounds are not requested from the source
+      return core.getOutOfBoundsTile(source, params.format);
+    }
     return source.getHandler().getAsync(opts);
+  });
+}
+
+/**
+ * Web server (express) route handler to get requested tile
+ *
+ * @param {Object} req request object
+ * @param {Object} res response object
+ * @param {Promise} next will be called if request is not handled
+ */
+function requestHandler(req, res, next) {
+  const params = req && req.params;
+  const start = Date.now();
+  let source;
+
+  return Promise.try(() => {
+    source = core.getPublicSource(params.src, req);
+    const opts = validateTileParams(source, params, req.query && req.query.lang);
+
+    return getTileAsync(source, params, opts)
+      .then(result => encodeTileAsync(req, res, params.format, result));
   }).then((result) => {
     let mx;
 
     core.setResponseHeaders(res, source, result.headers);
 
-    if (params.format === 'json') {
+    if (req.fresh) {
+      // The client's copy matches the ETag or Last-Modified headers given by the source
+      res.status(304).end();
+    } else if (params.format === 'json') {
       // Allow JSON to be shortened to simplify debugging
       res.json(filterJson(req.query, result.data));
     } else {
@@ -115,7 +258,56 @@ function requestHandler(req, res, next) {
       mx += `.${params.scale.toString().replace('.', ',')}`;
     }
     core.metrics.endTiming(mx, start);
-  }).catch(err => core.reportRequestError(err, res)).catch(next);
+  }).catch(err => core.reportRequestError(err, res, source)).catch(next);
+}
+
+/**
+ * @param {object} info source info, as given by getInfoAsync() of the source handler,
+ *   i.e. with the setInfo and overrideInfo of the source config applied, same as info.json
+ * @returns {boolean} true if the source style defines the layer and the fields of its UTFGrids
+ */
+function hasInteractivity(info) {
+  return !!(info && info.interactivity_layer && info.interactivity_fields);
+}
+
+/**
+ * Web server (express) route handler to get the UTFGrid of the tile,
+ * wrapped in a JSONP callback if ?callback= is given
+ *
+ * @param {Object} req request object
+ * @param {Object} res response object
+ * @param {Promise} next will be called if request is not handled
+ */
+function gridRequestHandler(req, res, next) {
+  const params = req && req.params;
+  const start = Date.now();
+  let source;
+
+  return Promise.try(() => {
+    source = core.getPublicSource(params.src, req);
+    const opts = validateTileCoords(source, params, req.query && req.query.lang);
+    opts.type = 'grid';
+    // Same as the image tiles, grids are rendered from the vector tiles
+    opts.treatAsVector = true;
+
+    return source.getHandler().getInfoAsync().then((info) => {
+      if (!hasInteractivity(info)) {
+        throw new Err('Source has no interactivity').metrics('err.req.grid');
+      }
+      return getTileAsync(source, params, opts);
+    });
+  }).then((result) => {
+    core.setResponseHeaders(res, source, result.headers);
+
+    if (req.fresh) {
+      res.status(304).end();
+    } else {
+      res.jsonp(result.data);
+    }
+
+    const mx = util.format('req.%s.%s.grid', params.src, params.z);
+    core.metrics.endTiming(mx, start);
+  }).catch(err => core.reportRequestError(err, res, source)).catch(next);
 }
 
 module.exports = function tiles(cor, router) {
@@ -124,4 +316,13 @@ module.exports = function tiles(cor, router) {
   // get tile
   router.get(`/:src(${core.Sources.sourceIdReStr})/:z(\\d+)/:x(\\d+)/:y(\\d+).:format([\\w]+)`, requestHandler);
   router.get(`/:src(${core.Sources.sourceIdReStr})/:z(\\d+)/:x(\\d+)/:y(\\d+)@:scale([\\.\\d]+)x.:format([\\w]+)`, requestHandler);
+
+  // get UTFGrid interactivity (json or jsonp)
+  router.get(`/:src(${core.Sources.sourceIdReStr})/:z(\\d+)/:x(\\d+)/:y(\\d+).grid.json`, gridRequestHandler);
 };
+
+// Other tile URL schemes map their requests onto the same handler
+module.exports.requestHandler = requestHandler;
+module.exports.validateTileParams = validateTileParams;
+module.exports.getTileAsync = getTileAsync;
+module.exports.hasInteractivity = hasInteractivity;
@@ -0,0 +1,175 @@
+const _ = require('underscore');
+const Promise = require('bluebird');
+const checkType = require('@kartotherian/input-validator');
+const Err = require('@kartotherian/err');
+const tiles = require('./tiles');
+const catalog = require('./catalog');
+
+// Mime types of the formats that can be listed as the TileFormat
+const formatTypes = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  pbf: 'application/x-protobuf',
+};
+
+// TMS clients need a finite list of zoom levels, even if the source has no maxzoom
+const defaultMaxZoom = 18;
+
+// Web mercator extent in meters, and the meters per pixel of the zoom 0 tile
+const mercatorExtent = 20037508.342789244;
+const zoom0UnitsPerPixel = 156543.03392804097;
+
+let core;
+
+/**
+ * @param {number} lon
+ * @param {number} lat
+ * @returns {number[]} [x, y] in web mercator meters
+ */
+function toMercator(lon, lat) {
+  const clampedLat = Math.min(85.0511287798, Math.max(-85.0511287798, lat));
+  return [
+    (lon / 180) * mercatorExtent,
+    (Math.log(Math.tan((Math.PI / 4) + ((clampedLat * Math.PI) / 360))) / Math.PI) * mercatorExtent,
+  ];
+}
+
+/**
+ * @param {object} source
+ * @param {string} [format] preferred format, if the source allows it
+ * @returns {string|undefined} format of the source that can be listed as a TileMap
+ */
+function getTileMapFormat(source, format) {
+  if (format && _.contains(source.formats, format) && formatTypes[format]) {
+    return format;
+  }
+  return _.find(source.formats, fmt => _.has(formatTypes, fmt));
+}
+
+/**
+ * @param {string[]} body lines of the root element
+ * @returns {string} XML document
+ */
+function formatDocument(body) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${body.join('\n')}\n`;
+}
+
+/**
+ * Web server (express) route handler to get the TileMapService resource, listing all public sources
+ * @param req request object
+ * @param res response object
+ * @param next will be called if request is not handled
+ */
+function serviceHandler(req, res, next) {
+  const start = Date.now();
+
+  return catalog.getPublicSourcesAsync(core).then((sources) => {
+    const baseUrl = core.getPublicUrl(req);
+    const lines = [
+      `<TileMapService version="1.0.0" services="${catalog.escapeXml(baseUrl)}/tms/">`,
+      '<Title>Kartotherian</Title>',
+      '<TileMaps>',
+    ];
+    _.each(sources, ({ sourceId, source, info }) => {
+      if (getTileMapFormat(source)) {
+        lines.push(`<TileMap title="${catalog.escapeXml(info.name || sourceId)}" srs="EPSG:3857"` +
+          ` profile="global-mercator" href="${catalog.escapeXml(`${baseUrl}/tms/1.0.0/${sourceId}`)}"/>`);
+      }
+    });
+    lines.push('</TileMaps>', '</TileMapService>');
+
+    core.setResponseHeaders(res);
+    res.type('application/xml').send(formatDocument(lines));
+    core.metrics.endTiming('req.tms.service', start);
+  }).catch(err => core.reportRequestError(err, res)).catch(next);
+}
+
+/**
+ * Web server (express) route handler to get the TileMap resource of a source.
+ * The TileFormat is the first format of the source, unless another one is given with ?format=
+ * @param req request object
+ * @param res response object
+ * @param next will be called if request is not handled
+ */
+function tileMapHandler(req, res, next) {
+  const start = Date.now();
+  let source;
+  let format;
+
+  return Promise.try(() => {
+    source = core.getPublicSource(req.params.src, req);
+    format = getTileMapFormat(source, req.query && req.query.format);
+    if (!format) {
+      throw new Err('Source has no formats that can be listed as a TileMap').metrics('err.req.format');
+    }
+    return source.getHandler().getInfoAsync();
+  }).then((info) => {
+    const baseUrl = core.getPublicUrl(req);
+    const { bounds } = info || {};
+    const [minx, miny, maxx, maxy] = Array.isArray(bounds) && bounds.length === 4
+      ? toMercator(bounds[0], bounds[1]).concat(toMercator(bounds[2], bounds[3]))
+      : [-mercatorExtent, -mercatorExtent, mercatorExtent, mercatorExtent];
+    const minzoom = source.minzoom || 0;
+    const maxzoom = source.maxzoom !== undefined ? source.maxzoom : defaultMaxZoom;
+    const tileMapUrl = `${baseUrl}/tms/1.0.0/${req.params.src}`;
+
+    const lines = [
+      `<TileMap version="1.0.0" tilemapservice="${catalog.escapeXml(baseUrl)}/tms/1.0.0/">`,
+      `<Title>${catalog.escapeXml((info && info.name) || req.params.src)}</Title>`,
+    ];
+    if (info && info.description) {
+      lines.push(`<Abstract>${catalog.escapeXml(info.description)}</Abstract>`);
+    }
+    lines.push(
+      '<SRS>EPSG:3857</SRS>',
+      `<BoundingBox minx="${minx}" miny="${miny}" maxx="${maxx}" maxy="${maxy}"/>`,
+      `<Origin x="${-mercatorExtent}" y="${-mercatorExtent}"/>`,
+      `<TileFormat width="256" height="256" mime-type="${formatTypes[format]}" extension="${format}"/>`,
+      '<TileSets profile="global-mercator">'
+    );
+    for (let zoom = minzoom; zoom <= maxzoom; zoom += 1) {
+      // eslint-disable-next-line no-restricted-properties
+      const unitsPerPixel = zoom0UnitsPerPixel / Math.pow(2, zoom);
+      lines.push(`<TileSet href="${catalog.escapeXml(`${tileMapUrl}/${zoom}`)}" units-per-pixel="${unitsPerPixel}" order="${zoom}"/>`);
+    }
+    lines.push('</TileSets>', '</TileMap>');
+
+    core.setResponseHeaders(res, source);
+    res.type('application/xml').send(formatDocument(lines));
+    core.metrics.endTiming(`req.${req.params.src}.tms`, start);
+  }).catch(err => core.reportRequestError(err, res)).catch(next);
+}
+
+/**
+ * Web server (express) route handler to get a tile using the TMS URL, whose y is counted from
+ * the south. It is flipped and handled the same way as the regular /src/z/x/y.format requests
+ * @param req request object
+ * @param res response object
+ * @param next will be called if request is not handled
+ */
+function tileHandler(req, res, next) {
+  const { params } = req;
+  const z = checkType.strToInt(params.z);
+  const y = checkType.strToInt(params.y);
+  req.params = _.extend({}, params, {
+    // eslint-disable-next-line no-restricted-properties
+    y: Number.isInteger(z) && Number.isInteger(y) ? String(Math.pow(2, z) - 1 - y) : params.y,
+  });
+  return tiles.requestHandler(req, res, next);
+}
+
+module.exports = function tms(cor, router) {
+  core = cor;
+
+  if (!core.getConfiguration().tms) {
+    return;
+  }
+
+  const tilePath = `/tms/1.0.0/:src(${core.Sources.sourceIdReStr})/:z(\\d+)/:x(\\d+)/:y(\\d+)`;
+  // Tiles go first, the TileMap route would match them as well
+  router.get(`${tilePath}.:format([\\w]+)`, tileHandler);
+  router.get(`${tilePath}@:scale([\\.\\d]+)x.:format([\\w]+)`, tileHandler);
+  router.get('/tms/1.0.0', serviceHandler);
+  router.get(`/tms/1.0.0/:src(${core.Sources.sourceIdReStr})`, tileMapHandler);
+};
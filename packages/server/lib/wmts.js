@@ -0,0 +1,173 @@
+const _ = require('underscore');
+const tiles = require('./tiles');
+const catalog = require('./catalog');
+
+// Formats that WMTS clients can display, with their mime types
+const rasterFormats = { png: 'image/png', jpeg: 'image/jpeg', webp: 'image/webp' };
+
+// WMTS clients need a finite list of zoom levels, even if the source has no maxzoom
+const defaultMaxZoom = 18;
+
+// Well-known scale set of the web mercator tiles, see the OGC WMTS 1.0.0 spec, annex E.4
+const tileMatrixSet = 'GoogleMapsCompatible';
+const topLeftCorner = '-20037508.3427892 20037508.3427892';
+const zoom0ScaleDenominator = 559082264.0287178;
+
+let core;
+
+/**
+ * Get all public sources that have raster formats, as layers
+ * @returns {Promise} resolves to an array of {sourceId, source, info, formats, minzoom, maxzoom}
+ */
+function getLayersAsync() {
+  return catalog.getPublicSourcesAsync(core).then(sources => _.filter(_.map(sources, (entry) => {
+    const { source } = entry;
+    return _.extend(entry, {
+      formats: _.filter(source.formats, fmt => _.has(rasterFormats, fmt)),
+      minzoom: source.minzoom || 0,
+      maxzoom: source.maxzoom !== undefined ? source.maxzoom : defaultMaxZoom,
+    });
+  }), layer => layer.formats.length > 0));
+}
+
+/**
+ * @param {object} layer
+ * @param {string} baseUrl
+ * @returns {string[]} lines of the <Layer> element
+ */
+function formatLayer(layer, baseUrl) {
+  const { info } = layer;
+  const bounds = Array.isArray(info.bounds) && info.bounds.length === 4
+    ? info.bounds : [-180, -85.0511287798, 180, 85.0511287798];
+  const template = `${baseUrl}/wmts/1.0.0/${layer.sourceId}/{Style}/{TileMatrixSet}/{TileMatrix}/{TileRow}/{TileCol}`;
+  const lines = [
+    '<Layer>',
+    `<ows:Title>${catalog.escapeXml(info.name || layer.sourceId)}</ows:Title>`,
+  ];
+  if (info.description) {
+    lines.push(`<ows:Abstract>${catalog.escapeXml(info.description)}</ows:Abstract>`);
+  }
+  lines.push(
+    '<ows:WGS84BoundingBox>',
+    `<ows:LowerCorner>${bounds[0]} ${bounds[1]}</ows:LowerCorner>`,
+    `<ows:UpperCorner>${bounds[2]} ${bounds[3]}</ows:UpperCorner>`,
+    '</ows:WGS84BoundingBox>',
+    `<ows:Identifier>${catalog.escapeXml(layer.sourceId)}</ows:Identifier>`,
+    '<Style isDefault="true"><ows:Identifier>default</ows:Identifier></Style>'
+  );
+  _.each(layer.formats, (fmt) => {
+    lines.push(`<Format>${rasterFormats[fmt]}</Format>`);
+  });
+  lines.push('<TileMatrixSetLink>', `<TileMatrixSet>${tileMatrixSet}</TileMatrixSet>`, '<TileMatrixSetLimits>');
+  for (let zoom = layer.minzoom; zoom <= layer.maxzoom; zoom += 1) {
+    // eslint-disable-next-line no-restricted-properties
+    const maxIndex = Math.pow(2, zoom) - 1;
+    lines.push(
+      '<TileMatrixLimits>',
+      `<TileMatrix>${zoom}</TileMatrix>`,
+      `<MinTileRow>0</MinTileRow><MaxTileRow>${maxIndex}</MaxTileRow>`,
+      `<MinTileCol>0</MinTileCol><MaxTileCol>${maxIndex}</MaxTileCol>`,
+      '</TileMatrixLimits>'
+    );
+  }
+  lines.push('</TileMatrixSetLimits>', '</TileMatrixSetLink>');
+  _.each(layer.formats, (fmt) => {
+    lines.push(`<ResourceURL format="${rasterFormats[fmt]}" resourceType="tile" template="${catalog.escapeXml(`${template}.${fmt}`)}"/>`);
+  });
+  lines.push('</Layer>');
+  return lines;
+}
+
+/**
+ * @param {int} maxzoom
+ * @returns {string[]} lines of the <TileMatrixSet> element of the web mercator tiles
+ */
+function formatTileMatrixSet(maxzoom) {
+  const lines = [
+    '<TileMatrixSet>',
+    `<ows:Identifier>${tileMatrixSet}</ows:Identifier>`,
+    '<ows:SupportedCRS>urn:ogc:def:crs:EPSG::3857</ows:SupportedCRS>',
+    '<WellKnownScaleSet>urn:ogc:def:wkss:OGC:1.0:GoogleMapsCompatible</WellKnownScaleSet>',
+  ];
+  for (let zoom = 0; zoom <= maxzoom; zoom += 1) {
+    // eslint-disable-next-line no-restricted-properties
+    const size = Math.pow(2, zoom);
+    lines.push(
+      '<TileMatrix>',
+      `<ows:Identifier>${zoom}</ows:Identifier>`,
+      `<ScaleDenominator>${zoom0ScaleDenominator / size}</ScaleDenominator>`,
+      `<TopLeftCorner>${topLeftCorner}</TopLeftCorner>`,
+      '<TileWidth>256</TileWidth><TileHeight>256</TileHeight>',
+      `<MatrixWidth>${size}</MatrixWidth><MatrixHeight>${size}</MatrixHeight>`,
+      '</TileMatrix>'
+    );
+  }
+  lines.push('</TileMatrixSet>');
+  return lines;
+}
+
+/**
+ * Web server (express) route handler to get the WMTS capabilities document,
+ * listing all public raster sources as layers
+ * @param req request object
+ * @param res response object
+ * @param next will be called if request is not handled
+ */
+function capabilitiesHandler(req, res, next) {
+  const start = Date.now();
+
+  return getLayersAsync().then((layers) => {
+    const baseUrl = core.getPublicUrl(req);
+    const maxzoom = _.reduce(layers, (max, layer) => Math.max(max, layer.maxzoom), 0);
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<Capabilities xmlns="http://www.opengis.net/wmts/1.0" xmlns:ows="http://www.opengis.net/ows/1.1"' +
+        ' xmlns:xlink="http://www.w3.org/1999/xlink" version="1.0.0">',
+      '<ows:ServiceIdentification>',
+      '<ows:Title>Kartotherian</ows:Title>',
+      '<ows:ServiceType>OGC WMTS</ows:ServiceType>',
+      '<ows:ServiceTypeVersion>1.0.0</ows:ServiceTypeVersion>',
+      '</ows:ServiceIdentification>',
+      '<Contents>',
+    ].concat(
+      _.flatten(_.map(layers, layer => formatLayer(layer, baseUrl))),
+      formatTileMatrixSet(maxzoom),
+      [
+        '</Contents>',
+        `<ServiceMetadataURL xlink:href="${catalog.escapeXml(`${baseUrl}/wmts/1.0.0/WMTSCapabilities.xml`)}"/>`,
+        '</Capabilities>',
+        '',
+      ]
+    );
+
+    core.setResponseHeaders(res);
+    res.type('application/xml').send(lines.join('\n'));
+    core.metrics.endTiming('req.wmts.capabilities', start);
+  }).catch(err => core.reportRequestError(err, res)).catch(next);
+}
+
+/**
+ * Web server (express) route handler to get a tile using the WMTS RESTful URL,
+ * which is handled the same way as the regular /src/z/x/y.format tile requests
+ * @param req request object
+ * @param res response object
+ * @param next will be called if request is not handled
+ */
+function tileHandler(req, res, next) {
+  const { params } = req;
+  req.params = {
+    src: params.src,
+    z: params.z,
+    x: params.col,
+    y: params.row,
+    format: params.format,
+  };
+  return tiles.requestHandler(req, res, next);
+}
+
+module.exports = function wmts(cor, router) {
+  core = cor;
+
+  router.get('/wmts/1.0.0/WMTSCapabilities.xml', capabilitiesHandler);
+  router.get(`/wmts/1.0.0/:src(${core.Sources.sourceIdReStr})/default/${tileMatrixSet}/:z(\\d+)/:row(\\d+)/:col(\\d+).:format([\\w]+)`, tileHandler);
+};
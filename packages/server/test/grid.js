@@ -0,0 +1,139 @@
+/* global describe it before after */
+
+const assert = require('assert');
+const http = require('http');
+const Promise = require('bluebird');
+const express = require('express');
+const tilelive = require('@mapbox/tilelive');
+const core = require('@kartotherian/core');
+const tiles = require('../lib/tiles');
+const info = require('../lib/info');
+
+const interactivity = { interactivity_layer: 'poi', interactivity_fields: 'name' };
+
+/**
+ * Tile source with UTFGrids, and with the interactivity in its info unless ?plain is set
+ */
+function TestSource(uri, callback) {
+  this.plain = uri.query.plain !== undefined;
+  callback(undefined, this);
+}
+
+TestSource.prototype.getTile = function getTile(z, x, y, callback) {
+  callback(undefined, Buffer.from(`${z}/${x}/${y}`), { 'Content-Type': 'image/png' });
+};
+
+TestSource.prototype.getGrid = function getGrid(z, x, y, callback) {
+  callback(undefined, { grid: [' '], keys: [''], data: { tile: `${z}/${x}/${y}` } }, {
+    'Content-Type': 'application/json',
+    ETag: '"grid"',
+  });
+};
+
+TestSource.prototype.getInfo = function getInfo(callback) {
+  callback(undefined, this.plain ? {} : interactivity);
+};
+
+describe('grid', () => {
+  let server;
+
+  before(() => {
+    core.tilelive = Promise.promisifyAll(tilelive);
+    core.tilelive.protocols['test:'] = TestSource;
+    core.log = () => {};
+    core.metrics = { increment: () => {}, endTiming: () => {} };
+    core.getConfiguration = () => ({});
+
+    const sources = new core.Sources();
+    return sources.init({
+      modules: [],
+      variables: {},
+      sources: {
+        grid: { uri: 'test://', public: true },
+        plain: { uri: 'test://?plain', public: true },
+        // The grid route uses the same info as info.json, with setInfo and overrideInfo applied
+        overridden: { uri: 'test://?plain', public: true, overrideInfo: interactivity },
+        set: { uri: 'test://?plain', public: true, setInfo: interactivity },
+        removed: { uri: 'test://', public: true, overrideInfo: { interactivity_layer: null } },
+      },
+    }).then(() => {
+      core.setSources(sources);
+      const router = express.Router();
+      tiles(core, router);
+      info(core, router);
+      const app = express();
+      app.use('/', router);
+      return new Promise((resolve) => {
+        server = http.createServer(app).listen(0, 'localhost', resolve);
+      });
+    });
+  });
+
+  after(() => server.close());
+
+  /**
+   * @param {string} path
+   * @param {object} [headers]
+   * @returns {Promise} resolves to {status, headers, body}
+   */
+  function get(path, headers) {
+    return new Promise((resolve, reject) => {
+      http.get({
+        host: 'localhost', port: server.address().port, path, headers,
+      }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          body: Buffer.concat(chunks).toString(),
+        }));
+      }).on('error', reject);
+    });
+  }
+
+  it('gets the UTFGrid of the tile', () => get('/grid/2/1/3.grid.json').then((res) => {
+    assert.strictEqual(res.status, 200);
+    assert.ok(/^application\/json/.test(res.headers['content-type']), res.headers['content-type']);
+    assert.deepStrictEqual(JSON.parse(res.body).data, { tile: '2/1/3' });
+  }));
+
+  it('wraps the UTFGrid in the JSONP callback', () => get('/grid/2/1/3.grid.json?callback=grid_2_1_3').then((res) => {
+    assert.strictEqual(res.status, 200);
+    assert.ok(/^text\/javascript/.test(res.headers['content-type']), res.headers['content-type']);
+    const match = /grid_2_1_3\((.*)\);$/.exec(res.body);
+    assert.ok(match, res.body);
+    assert.deepStrictEqual(JSON.parse(match[1]).data, { tile: '2/1/3' });
+  }));
+
+  it('answers 304 to the current ETag', () => get('/grid/2/1/3.grid.json', { 'If-None-Match': '"grid"' }).then((res) => {
+    assert.strictEqual(res.status, 304);
+  }));
+
+  it('rejects the tiles outside of the zoom level', () => get('/grid/2/4/0.grid.json').then((res) => {
+    assert.strictEqual(res.status, 400);
+  }));
+
+  it('rejects the sources without interactivity', () => get('/plain/2/1/3.grid.json').then((res) => {
+    assert.strictEqual(res.status, 400);
+    assert.ok(/no interactivity/.test(res.body), res.body);
+  }));
+
+  it('uses the interactivity of setInfo and overrideInfo', () => Promise.each(
+    ['overridden', 'set'],
+    sourceId => get(`/${sourceId}/2/1/3.grid.json`).then((res) => {
+      assert.strictEqual(res.status, 200, sourceId);
+    })
+  ).then(() => get('/removed/2/1/3.grid.json')).then((res) => {
+    assert.strictEqual(res.status, 400);
+  }));
+
+  it('lists the grid URLs in the info of the interactive sources only', () => Promise.map(
+    ['grid', 'overridden', 'plain', 'removed'],
+    sourceId => get(`/${sourceId}/info.json`).then(res => JSON.parse(res.body).grids)
+  ).then((grids) => {
+    assert.ok(/\/grid\/\{z\}\/\{x\}\/\{y\}\.grid\.json$/.test(grids[0][0]), grids[0][0]);
+    assert.ok(/\/overridden\/\{z\}\/\{x\}\/\{y\}\.grid\.json$/.test(grids[1][0]), grids[1][0]);
+    assert.deepStrictEqual(grids.slice(2), [undefined, undefined]);
+  }));
+});
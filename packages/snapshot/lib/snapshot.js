@@ -93,6 +93,23 @@ function strToFloat(value) {
     return value;
 };
 
+/**
+ * Reject images that are completely outside of the source bounds, without rendering them
+ * @param source
+ * @param params
+ * @return {Promise}
+ */
+function checkImageBoundsAsync(source, params) {
+    let lat = Math.min(85, Math.max(-85, params.lat)),
+        area = core.getImageBounds(lat, params.lon, params.zoom, params.w, params.h);
+
+    return core.isWithinSourceBoundsAsync(source, area).then(isWithin => {
+        if (!isWithin) {
+            throw new Err('Image is outside of the source bounds').metrics('err.req.bounds').status(404);
+        }
+    });
+}
+
 /**
  * Web server (express) route handler to get a snapshot image
  * @param req request object
@@ -107,7 +124,7 @@ function requestHandler(req, res, next) {
         start = Date.now();
 
     return Promise.try(() => {
-        source = core.getPublicSource(params.src);
+        source = core.getPublicSource(params.src, req);
 
         if (qparams.lang) {
             params.lang = qparams.lang;
@@ -159,7 +176,9 @@ function requestHandler(req, res, next) {
             if (typeof params.lat !== 'number' || typeof params.lon !== 'number') {
                 throw new Err('The lat and lon coordinates must be numeric for static images').metrics('err.req.stcoords');
             }
-            return abaculus(makeParams(params, source.getHandler()));
+            return checkImageBoundsAsync(source, params).then(
+                () => abaculus(makeParams(params, source.getHandler()))
+            );
         }
 
         if (!mapdataLoader) {
@@ -199,6 +218,8 @@ function requestHandler(req, res, next) {
             }
             params.zoom = core.validateZoom(params.zoom, source);
 
+            return checkImageBoundsAsync(source, params).return(geojson);
+        }).then(geojson => {
             let renderBaseMap = abaculus(makeParams(params, source.getHandler())).spread((data, headers) => {
                 baseMapHdrs = headers;
                 return mapnik.Image.fromBytesAsync(data);
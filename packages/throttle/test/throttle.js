@@ -0,0 +1,144 @@
+/* global describe it beforeEach */
+
+const assert = require('assert');
+const Promise = require('bluebird');
+const Err = require('@kartotherian/err');
+const Throttle = require('../throttle');
+
+/**
+ * Tile source whose requests only complete when the test finishes them
+ */
+function TestSource() {
+  this.pending = [];
+  this.closed = 0;
+}
+
+TestSource.prototype.getAsync = function getAsync(opts) {
+  return new Promise((resolve, reject) => {
+    this.pending.push({ opts, resolve, reject });
+  });
+};
+
+TestSource.prototype.close = function close(callback) {
+  this.closed += 1;
+  callback();
+};
+
+/**
+ * Finish the oldest request in progress
+ * @param {TestSource} source
+ */
+function finish(source) {
+  const req = source.pending.shift();
+  req.resolve({ data: Buffer.from(`${req.opts.z}/${req.opts.x}/${req.opts.y}`) });
+}
+
+describe('throttle', () => {
+  let source;
+  let metrics;
+
+  beforeEach(() => {
+    source = new TestSource();
+    metrics = [];
+    Throttle.initKartotherian({
+      tilelive: { protocols: {} },
+      metrics: {
+        increment: name => metrics.push(name),
+        endTiming: name => metrics.push(name),
+      },
+      loadSource: () => Promise.resolve(source),
+    });
+  });
+
+  function newThrottle(params) {
+    return Promise.fromCallback(callback => new Throttle(`throttle://?source=test%3A%2F%2F&name=t&${params}`, callback));
+  }
+
+  function getTile(throttle, y) {
+    return throttle.getAsync({ z: 1, x: 0, y });
+  }
+
+  it('limits the requests in progress', () => newThrottle('maxConcurrent=2').then((throttle) => {
+    const results = [0, 1, 2].map(y => getTile(throttle, y));
+    return Promise.delay(5).then(() => {
+      assert.strictEqual(source.pending.length, 2);
+      assert.strictEqual(throttle.queue.length, 1);
+      finish(source);
+      return results[0];
+    }).then((res) => {
+      assert.strictEqual(res.data.toString(), '1/0/0');
+      return Promise.delay(5);
+    }).then(() => {
+      // the queued request got the slot of the finished one
+      assert.deepStrictEqual(source.pending.map(req => req.opts.y), [1, 2]);
+      assert.strictEqual(throttle.active, 2);
+      finish(source);
+      finish(source);
+      return Promise.all(results).then(() => {
+        assert.strictEqual(throttle.active, 0);
+        assert.deepStrictEqual(metrics, ['throttle.t.wait']);
+      });
+    });
+  }));
+
+  it('releases the slot of the failed requests', () => newThrottle('maxConcurrent=1').then((throttle) => {
+    const failed = getTile(throttle, 0);
+    const next = getTile(throttle, 1);
+    return Promise.delay(5).then(() => {
+      source.pending.shift().reject(new Err('Tile does not exist'));
+      return failed.then(() => assert.fail('the request must fail'), (err) => {
+        assert.ok(Err.isNoTileError(err));
+      });
+    }).delay(5).then(() => {
+      finish(source);
+      return next.then((res) => {
+        assert.strictEqual(res.data.toString(), '1/0/1');
+        assert.strictEqual(throttle.active, 0);
+      });
+    });
+  }));
+
+  it('fails when the queue is full', () => newThrottle('maxConcurrent=1&maxQueue=1').then((throttle) => {
+    const results = [0, 1, 2].map(y => Promise.resolve(getTile(throttle, y)).reflect());
+    return Promise.delay(5).then(() => {
+      finish(source);
+      return Promise.delay(5);
+    }).then(() => {
+      finish(source);
+      return Promise.all(results);
+    }).then((inspections) => {
+      assert.deepStrictEqual(inspections.map(i => i.isFulfilled()), [true, true, false]);
+      const err = inspections[2].reason();
+      assert.ok(Err.isOverloadedError(err));
+      assert.strictEqual(err.metrics, 'err.throttle.t.full');
+    });
+  }));
+
+  it('fails the requests that waited too long', () => newThrottle('maxConcurrent=1&timeout=20').then((throttle) => {
+    const first = getTile(throttle, 0);
+    const waiting = getTile(throttle, 1);
+    return waiting.then(() => assert.fail('the request must time out'), (err) => {
+      assert.ok(Err.isOverloadedError(err));
+      assert.strictEqual(err.metrics, 'err.throttle.t.timeout');
+      assert.strictEqual(throttle.queue.length, 0);
+      finish(source);
+      return first;
+    }).then(() => {
+      assert.strictEqual(throttle.active, 0);
+      assert.strictEqual(source.pending.length, 0);
+    });
+  }));
+
+  it('closes the wrapped source', () => newThrottle('')
+    .then(throttle => Promise.fromCallback(callback => throttle.close(callback)))
+    .then(() => {
+      assert.strictEqual(source.closed, 1);
+    }));
+
+  it('does not close the referenced sources', () => Promise.fromCallback(callback =>
+    new Throttle('throttle://?source=sourceref%3A%2F%2F%2F%3Fref%3Dgen', callback))
+    .then(throttle => Promise.fromCallback(callback => throttle.close(callback)))
+    .then(() => {
+      assert.strictEqual(source.closed, 0);
+    }));
+});
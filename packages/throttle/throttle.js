@@ -0,0 +1,117 @@
+/*
+ Throttle is a tile source wrapper that limits how many requests reach the source at the same time.
+ Requests over the limit wait in a queue. If the queue is full, or the request has waited too long,
+ it fails with the "source is overloaded" error, which is reported to the client as HTTP 503.
+ */
+
+const Promise = require('bluebird');
+const Err = require('@kartotherian/err');
+const checkType = require('@kartotherian/input-validator');
+const uptile = require('tilelive-promise');
+
+let core;
+
+function Throttle(uri, callback) {
+  let self = this;
+  return Promise.try(() => {
+    self = uptile(self);
+    const params = checkType.normalizeUrl(uri).query;
+    if (!params.source) {
+      throw new Err("Uri must include 'source' query parameter: %j", uri);
+    }
+    checkType(params, 'maxConcurrent', 'integer', 10, 1);
+    checkType(params, 'maxQueue', 'integer', 100, 0);
+    checkType(params, 'timeout', 'integer', 30000, 0);
+    checkType(params, 'name', 'string', 'default', 1);
+
+    self.maxConcurrent = params.maxConcurrent;
+    self.maxQueue = params.maxQueue;
+    self.timeout = params.timeout;
+    self.metricsPrefix = `throttle.${params.name}`;
+    self.sourceUri = params.source;
+
+    self.active = 0;
+    self.queue = [];
+
+    return core.loadSource(params.source);
+  }).then((source) => {
+    self.source = uptile(source);
+    return self;
+  }).nodeify(callback);
+}
+
+Throttle.prototype.getAsync = function getAsync(opts) {
+  const self = this;
+  return self._acquireAsync().then(() => Promise
+    .try(() => self.source.getAsync(opts))
+    .finally(() => self._release()));
+};
+
+/**
+ * Wait until the number of requests in progress is below maxConcurrent
+ * @returns {Promise}
+ * @private
+ */
+Throttle.prototype._acquireAsync = function _acquireAsync() {
+  const self = this;
+  if (self.active < self.maxConcurrent) {
+    self.active += 1;
+    return Promise.resolve();
+  }
+  if (self.queue.length >= self.maxQueue) {
+    return Promise.try(() => Err.throwOverloaded(`err.${self.metricsPrefix}.full`));
+  }
+
+  const start = Date.now();
+  let waiter;
+  const waiting = new Promise((resolve) => {
+    waiter = resolve;
+    self.queue.push(waiter);
+  }).then(() => core.metrics.endTiming(`${self.metricsPrefix}.wait`, start));
+  if (!self.timeout) {
+    return waiting;
+  }
+  return waiting.timeout(self.timeout).catch(Promise.TimeoutError, () => {
+    const index = self.queue.indexOf(waiter);
+    if (index === -1) {
+      // The slot was given to this request just as it timed out, pass it on
+      self._release();
+    } else {
+      self.queue.splice(index, 1);
+    }
+    Err.throwOverloaded(`err.${self.metricsPrefix}.timeout`);
+  });
+};
+
+/**
+ * Pass the slot of the finished request to the first waiting one, if any
+ * @private
+ */
+Throttle.prototype._release = function _release() {
+  const waiter = this.queue.shift();
+  if (waiter) {
+    waiter();
+  } else {
+    this.active -= 1;
+  }
+};
+
+/**
+ * Close the wrapped source, unless it is a reference to another Kartotherian source,
+ * which is closed together with the rest of the sources
+ * @param {function} callback
+ */
+Throttle.prototype.close = function close(callback) {
+  if (!this.source || typeof this.source.close !== 'function' || /^sourceref:/.test(this.sourceUri)) {
+    callback();
+  } else {
+    this.source.close(callback);
+  }
+};
+
+Throttle.initKartotherian = function initKartotherian(cor) {
+  core = cor;
+  core.tilelive.protocols['throttle:'] = Throttle;
+};
+
+module.exports = Throttle;
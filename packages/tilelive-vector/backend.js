@@ -227,10 +227,19 @@ function _getTileAsync(opts) {
 // Proxies mapnik vtile.query method with the added convienice of
 // letting the tilelive-vector backend do the hard work of finding
 // the right tile to use.
+// The lang option is passed on to the source, e.g. for babel to pick the names
+// of the features in that language.
 Backend.prototype.queryTile = function(z, lon, lat, options, callback) {
     var xyz = sm.xyz([lon, lat, lon, lat], z);
-    this.getTile(z, xyz.minX, xyz.minY, function(err, vtile, head) {
-        if (err) return callback(err);
+    // Errors thrown while starting the query, e.g. by vtile.query(), must reach the callback too.
+    this.getAsync({z: z, x: xyz.minX, y: xyz.minY, lang: options.lang}).then(res => {
+        if (!(res.data instanceof mapnik.VectorTile)) {
+            throw new Error('Backend has not returned a vector tile');
+        }
+        queryVectorTile(res.data, res.headers);
+    }).catch(callback);
+
+    function queryVectorTile(vtile, head) {
         vtile.query(lon, lat, options, function(err, features) {
             if (err) return callback(err);
             var results = [];
@@ -251,11 +260,11 @@ Backend.prototype.queryTile = function(z, lon, lat, options, callback) {
             var headers = {};
             headers['Content-Type'] = 'application/json';
             headers['ETag'] = JSON.stringify(crypto.createHash('md5')
-                .update(head && head['ETag'] || (z+','+lon+','+lat))
+                .update((options.lang || '') + (head && head['ETag'] || (z+','+lon+','+lat)))
                 .digest('hex'));
             headers['Last-Modified'] = new Date(head && head['Last-Modified'] || 0).toUTCString();
             return callback(null, results, headers);
         });
-    });
+    }
 };
 
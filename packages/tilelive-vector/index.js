@@ -29,6 +29,15 @@ module.exports.xray = xray;
 module.exports.mapnik = mapnik;
 module.exports.Backend = Backend;
 module.exports.strict = false;
+// Milliseconds to keep a rendered metatile for the requests of its other tiles.
+module.exports.metatileCacheTime = 5000;
+// Largest number of metatiles kept by each source. A metatile image of the maximum size
+// takes 64 MB, so the oldest ones are dropped before their time when many areas are requested.
+module.exports.maxCachedMetatiles = 4;
+
+// Largest width and height of a rendered metatile image, in pixels. Metatiles of the scaled
+// tiles are made of fewer tiles, so that the image does not get bigger than that.
+module.exports.maxMetatileSize = 4096;
 
 function md5(str) {
     return crypto.createHash('md5').update(str).digest('hex');
@@ -52,6 +61,8 @@ function Vector(uri, callback) {
 
     this._uri = uri;
     this._scale = uri.scale || undefined;
+    this._metatile = uri.metatile || undefined;
+    this._metatiles = {};
     this._format = uri.format || undefined;
     this._renderer = uri.renderer || undefined;
     this._source = uri.source || undefined;
@@ -97,12 +108,19 @@ Vector.prototype.update = function(opts, callback) {
             return callback(err);
         }
 
+        var metatile = +opts.metatile || +map.parameters.metatile || s._metatile || 1;
+        if (metatile > 16 || metatile & (metatile - 1)) {
+            return callback(new Error('metatile must be 1, 2, 4, 8, or 16'));
+        }
+
         delete s._info;
         s._xml = opts.xml;
         s._map = map;
         s._md5 = crypto.createHash('md5').update(opts.xml).digest('hex');
         s._format = opts.format || map.parameters.format || s._format || 'png8:m=h';
         s._scale = opts.scale || +map.parameters.scale || s._scale || 1;
+        s._metatile = metatile;
+        s._metatiles = {};
 
         var source = map.parameters.source || opts.source;
         if (!s._backend || s._source !== source) {
@@ -143,7 +161,7 @@ Vector.prototype.getAsync = function(opts) {
                     if (!self._map.parameters.interactivity_fields) {
                         throw new Error('Tilesource has no interactivity_fields');
                     }
-                    result = _getTileAsync.call(self, opts);
+                    result = _getTileAsync.call(self, Object.assign({}, opts, {format: 'utf'}));
                     break;
                 case 'info':
                     result = _getInfoAsync.call(self);
@@ -183,6 +201,43 @@ Vector.prototype.getTile = function(z, x, y, callback) {
     });
 };
 
+function tileHeaders(source, format, scale, z, x, y, head) {
+    var headers = {};
+    switch (format.match(/^[a-z]+/i)[0]) {
+    case 'headers':
+        // No content type for header-only.
+        break;
+    case 'json':
+    case 'utf':
+        headers['Content-Type'] = 'application/json';
+        break;
+    case 'jpeg':
+        headers['Content-Type'] = 'image/jpeg';
+        break;
+    case 'svg':
+        headers['Content-Type'] = 'image/svg+xml';
+        break;
+    case 'png':
+    default:
+        headers['Content-Type'] = 'image/png';
+        break;
+    }
+    // Tiles cut from metatiles are drawn differently than the single ones.
+    var metatile = source._metatile > 1 ? source._metatile : '';
+    headers['ETag'] = JSON.stringify(crypto.createHash('md5')
+        .update(scale + source._md5 + metatile + (head && head['ETag'] || (z+','+x+','+y)))
+        .digest('hex'));
+    headers['Last-Modified'] = new Date(head && head['Last-Modified'] || 0).toUTCString();
+
+    // Passthrough backend expires header if present.
+    if (head['Expires']||head['expires']) headers['Expires'] = head['Expires']||head['expires'];
+
+    // Passthrough backend object headers.
+    headers['x-vector-backend-object'] = head['x-vector-backend-object'];
+
+    return headers;
+};
+
 function _getTileAsync(options) {
     var source = this;
     return new Promise((accept, reject) => {
@@ -211,6 +266,16 @@ function _getTileAsync(options) {
     options2.legacy = legacy;
     options2.upgrade = upgrade;
 
+    // Image tiles of the metatile sources are cut from a larger image, rendered once for
+    // all of them, so that the labels are placed the same way on both sides of the tile edges.
+    var metatile = Math.min(source._metatile || 1, Math.pow(2,z));
+    while (metatile > 1 && metatile * width > module.exports.maxMetatileSize) {
+        metatile /= 2;
+    }
+    if (metatile > 1 && !legacy && !options2.setSrcData && !/^(headers|json|utf|svg)$/.test(format)) {
+        return _getMetatileAsync.call(source, options2, metatile).then(accept, reject);
+    }
+
     source._backend.getAsync(options2).catch(err => {
         if (err.message !== 'Tile does not exist')
             throw err;
@@ -227,36 +292,7 @@ function _getTileAsync(options) {
                 'png8:m=h';
         }
 
-        var headers = {};
-        switch (format.match(/^[a-z]+/i)[0]) {
-        case 'headers':
-            // No content type for header-only.
-            break;
-        case 'json':
-        case 'utf':
-            headers['Content-Type'] = 'application/json';
-            break;
-        case 'jpeg':
-            headers['Content-Type'] = 'image/jpeg';
-            break;
-        case 'svg':
-            headers['Content-Type'] = 'image/svg+xml';
-            break;
-        case 'png':
-        default:
-            headers['Content-Type'] = 'image/png';
-            break;
-        }
-        headers['ETag'] = JSON.stringify(crypto.createHash('md5')
-            .update(scale + source._md5 + (head && head['ETag'] || (z+','+x+','+y)))
-            .digest('hex'));
-        headers['Last-Modified'] = new Date(head && head['Last-Modified'] || 0).toUTCString();
-
-        // Passthrough backend expires header if present.
-        if (head['Expires']||head['expires']) headers['Expires'] = head['Expires']||head['expires'];
-
-        // Passthrough backend object headers.
-        headers['x-vector-backend-object'] = head['x-vector-backend-object'];
+        var headers = tileHeaders(source, format, scale, z, x, y, head);
 
         // Return headers for 'headers' format.
         if (format === 'headers') return accept({data:headers, headers:headers});
@@ -309,6 +345,122 @@ function _getTileAsync(options) {
     });
 };
 
+// Get a tile from the metatile that has it. Neighbouring tiles requested at the same time,
+// or shortly after, share the metatile instead of rendering it again.
+function _getMetatileAsync(options, size) {
+    var source = this;
+    var z = options.z, x = options.x, y = options.y;
+    var mx = x - x % size;
+    var my = y - y % size;
+    // Every option is passed on to the backend, e.g. lang, so all of them are a part of the key.
+    var key = JSON.stringify([mx, my].concat(Object.keys(options).sort().filter(function(k) {
+        return k !== 'x' && k !== 'y';
+    }).map(function(k) {
+        return [k, options[k]];
+    })));
+
+    var metatile = source._metatiles[key];
+    if (!metatile) {
+        var cached = Object.keys(source._metatiles);
+        if (cached.length >= module.exports.maxCachedMetatiles) {
+            // Keys are kept in the order they were added, the first one is the oldest
+            delete source._metatiles[cached[0]];
+        }
+        metatile = _renderMetatileAsync.call(source, options, size, mx, my);
+        source._metatiles[key] = metatile;
+        var expire = function() {
+            if (source._metatiles[key] === metatile) delete source._metatiles[key];
+        };
+        metatile.then(function() {
+            setTimeout(expire, module.exports.metatileCacheTime).unref();
+        }, expire);
+    }
+
+    return metatile.then(meta => new Promise((accept, reject) => {
+        var tile = meta.tiles[(x - mx) * size + (y - my)];
+        var encodetime = +new Date;
+        var view = meta.image.view((x - mx) * meta.width, (y - my) * meta.height, meta.width, meta.height);
+        view.encode(options.format, {}, function(err, buffer) {
+            if (err) return reject(err);
+
+            buffer._loadtime = meta.loadtime;
+            buffer._drawtime = meta.drawtime + ((+new Date) - encodetime);
+            buffer._srcbytes = tile.vtile._srcbytes || 0;
+
+            if (options.profile) buffer._layerInfo = profiler.layerInfo(tile.vtile);
+
+            var headers = tileHeaders(source, options.format, options.scale, z, x, y, tile.headers);
+            return accept({data: buffer, headers: headers});
+        });
+    }));
+};
+
+// Render the size x size tiles starting at mx,my as a single image. Their vector tiles are
+// composited into one, covering the whole metatile, at the zoom level where it is a single tile.
+function _renderMetatileAsync(options, size, mx, my) {
+    var source = this;
+    var z = options.z;
+    var scale = options.scale;
+    var width = scale * 256 | 0 || 256;
+    var height = scale * 256 | 0 || 256;
+    var mz = z - Math.round(Math.log(size)/Math.log(2));
+    var loadtime = +new Date;
+
+    var tiles = [];
+    for (var dx = 0; dx < size; dx++) {
+        for (var dy = 0; dy < size; dy++) {
+            tiles.push({x: mx + dx, y: my + dy});
+        }
+    }
+
+    return Promise.all(tiles.map(function(tile) {
+        return source._backend.getAsync(Object.assign({}, options, {x: tile.x, y: tile.y}));
+    })).then(results => new Promise((accept, reject) => {
+        loadtime = (+new Date) - loadtime;
+        var drawtime = +new Date;
+
+        // Overzoomed tiles share the same backend tile, which must only be drawn once.
+        var vtiles = {};
+        results.forEach(function(result, i) {
+            tiles[i].vtile = result.data;
+            tiles[i].headers = result.headers;
+            vtiles[result.data.z + ',' + result.data.x + ',' + result.data.y] = result.data;
+        });
+        vtiles = Object.keys(vtiles).map(function(k) { return vtiles[k]; });
+
+        var opts = {z:mz, x:mx / size, y:my / size, scale:scale, buffer_size:256 * scale};
+        var render = function(vtile) {
+            var surface = new mapnik.Image(width * size, height * size);
+            vtile.render(source._map, surface, opts, function(err, image) {
+                if (err) {
+                    err.code = 'EMAPNIK';
+                    return reject(err);
+                }
+                return accept({
+                    image: image,
+                    width: width,
+                    height: height,
+                    tiles: tiles,
+                    loadtime: loadtime,
+                    drawtime: (+new Date) - drawtime
+                });
+            });
+        };
+
+        // A backend tile at the metatile zoom or lower already covers all of it.
+        if (vtiles.length === 1 && vtiles[0].z <= mz) return render(vtiles[0]);
+
+        var merged = new mapnik.VectorTile(mz, opts.x, opts.y, {
+            tile_size: vtiles[0].tileSize * size,
+            buffer_size: vtiles[0].bufferSize * size
+        });
+        merged.composite(vtiles, {}, function(err) {
+            if (err) return reject(err);
+            return render(merged);
+        });
+    }));
+};
+
 Vector.prototype.getGrid = function(z, x, y, callback) {
     callback.format = 'utf';
     var params = getAsyncParameters(z, x, y, callback);
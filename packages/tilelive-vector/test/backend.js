@@ -232,6 +232,17 @@ test('query', function(t) {
     });
 });
 
+test('query reports a backend result that is not a vector tile', function(t) {
+    var source = new Backend({ source: new Testsource('a') });
+    source.getAsync = function() {
+        return Promise.resolve({ data: Buffer.from('not a tile'), headers: {} });
+    };
+    source.queryTile(2, 0, 0, {}, function(err) {
+        t.equal(err && err.message, 'Backend has not returned a vector tile');
+        t.end();
+    });
+});
+
 function replacer(key, value) {
     if (key === 'raster') {
         if ("data" in value)
@@ -362,3 +362,55 @@ test('diff scale => diff ETags', function(t) {
     t.end();
 });
 
+test('should render tiles from a shared metatile', function(t) {
+    new Vector({ backend: new Testsource('a'), xml: xml.a, metatile: 2 }, function(err, source) {
+        t.ifError(err);
+        var remaining = 4;
+        ['1.0.0', '1.0.1', '1.1.0', '1.1.1'].forEach(function(key) {
+            var zxy = key.split('.').map(Number);
+            source.getTile(zxy[0], zxy[1], zxy[2], function(err, buffer, headers) {
+                t.ifError(err);
+                t.equal(headers['Content-Type'], 'image/png');
+                t.equal(headers['x-vector-backend-object'], 'default');
+                t.notEqual(headers['ETag'], etags.a[key]);
+                t.equal('number', typeof buffer._drawtime);
+                if (!--remaining) {
+                    t.equal(Object.keys(source._metatiles).length, 1);
+                    t.end();
+                }
+            });
+        });
+    });
+});
+test('should keep no more than maxCachedMetatiles metatiles', function(t) {
+    var maxCachedMetatiles = Vector.maxCachedMetatiles;
+    Vector.maxCachedMetatiles = 2;
+    new Vector({ backend: new Testsource('a'), xml: xml.a, metatile: 2 }, function(err, source) {
+        t.ifError(err);
+        // Every format has its own metatile
+        var formats = ['png', 'png8', 'jpeg'];
+        (function next(i) {
+            if (i === formats.length) {
+                var keys = Object.keys(source._metatiles).map(function(key) {
+                    return JSON.parse(key).filter(function(option) { return option[0] === 'format'; })[0][1];
+                });
+                t.deepEqual(keys, ['png8', 'jpeg']);
+                Vector.maxCachedMetatiles = maxCachedMetatiles;
+                return t.end();
+            }
+            source.getAsync({ z: 1, x: 0, y: 0, format: formats[i] }).then(function() {
+                next(i + 1);
+            }, function(err) {
+                t.ifError(err);
+                Vector.maxCachedMetatiles = maxCachedMetatiles;
+                t.end();
+            });
+        })(0);
+    });
+});
+test('should fail with invalid metatile size', function(t) {
+    new Vector({ backend: new Testsource('a'), xml: xml.a, metatile: 3 }, function(err) {
+        t.equal(err.message, 'metatile must be 1, 2, 4, 8, or 16');
+        t.end();
+    });
+});